@@ -0,0 +1,111 @@
+// A–B loop: repeat one stretch of the drive on every camera, optionally slowed down
+
+import { state } from "./state.js";
+import { resetSync } from "./syncController.js";
+import { setSeekMarkers } from "./seekMarkers.js";
+
+const loopInBtn = document.getElementById("loopInBtn");
+const loopOutBtn = document.getElementById("loopOutBtn");
+const loopClearBtn = document.getElementById("loopClearBtn");
+const loopSlowSelect = document.getElementById("loopSlowSelect");
+
+// Wrap this far before the end of the drive so the last clip never reaches `ended`
+const END_GUARD_SEC = 0.05;
+const MIN_LOOP_SEC = 0.2;
+
+// Pending in point until the out point is set
+let loopIn = null;
+let callbacks = { seek: () => {}, getTime: () => 0, setStatus: () => {} };
+
+export function initAbLoop(options) {
+  callbacks = { ...callbacks, ...options };
+  loopInBtn?.addEventListener("click", setLoopIn);
+  loopOutBtn?.addEventListener("click", setLoopOut);
+  loopClearBtn?.addEventListener("click", clearLoop);
+  loopSlowSelect?.addEventListener("change", (e) => setLoopSlowdown(parseFloat(e.target.value)));
+  renderLoopUi();
+}
+
+/** Mark the in point (A) at the current position */
+export function setLoopIn() {
+  if (!state.isInitialized) return;
+  const t = callbacks.getTime();
+  const end = state.loopRange?.end;
+  loopIn = t;
+  state.loopRange = null;
+  // Keep an existing out point when it is still after the new in point
+  if (end !== undefined && end - t >= MIN_LOOP_SEC) activate(t, end);
+  else resetSync();
+  renderLoopUi();
+}
+
+/** Mark the out point (B); without an in point the loop starts at the beginning of the drive */
+export function setLoopOut() {
+  if (!state.isInitialized) return;
+  const t = callbacks.getTime();
+  const start = loopIn ?? state.loopRange?.start ?? 0;
+  const [a, b] = t < start ? [t, start] : [start, t];
+  if (b - a < MIN_LOOP_SEC) return;
+  activate(a, b);
+  callbacks.seek(a);
+  renderLoopUi();
+}
+
+export function clearLoop() {
+  const wasActive = !!state.loopRange;
+  loopIn = null;
+  state.loopRange = null;
+  if (wasActive) resetSync();
+  renderLoopUi();
+}
+
+function activate(start, end) {
+  loopIn = null;
+  state.loopRange = { start, end: Math.min(end, (state.masterDuration || end) - END_GUARD_SEC) };
+  // The sync controller's base rate folds in the loop slowdown
+  resetSync();
+  callbacks.setStatus(`Looping ${formatLoopTime(start)}–${formatLoopTime(end)}`);
+}
+
+/** Playback speed multiplier inside the loop (1 = no slowdown) */
+export function setLoopSlowdown(factor) {
+  state.loopSlowdown = factor > 0 && factor <= 1 ? factor : 1;
+  if (loopSlowSelect) loopSlowSelect.value = String(state.loopSlowdown);
+  if (state.loopRange) resetSync();
+}
+
+/**
+ * Per-frame check from the render loop: past B jumps back to A (or past A back to B while
+ * reversing). Positions before A are left alone so seeking ahead of the loop plays into it.
+ */
+export function enforceLoop(t) {
+  const range = state.loopRange;
+  if (!range || state.isSeeking) return;
+  if (state.isReversing) {
+    if (t <= range.start) callbacks.seek(range.end);
+  } else if (t >= range.end) {
+    callbacks.seek(range.start);
+  }
+}
+
+function formatLoopTime(sec) {
+  const m = Math.floor(sec / 60);
+  const s = (sec % 60).toFixed(1).padStart(4, "0");
+  return `${m}:${s}`;
+}
+
+function renderLoopUi() {
+  const range = state.loopRange;
+  loopInBtn?.classList.toggle("active", loopIn !== null || !!range);
+  loopOutBtn?.classList.toggle("active", !!range);
+  loopClearBtn?.classList.toggle("hidden", loopIn === null && !range);
+  if (range) {
+    setSeekMarkers("loop", [
+      { time: range.start, end: range.end, label: `Loop ${formatLoopTime(range.start)}–${formatLoopTime(range.end)}` },
+    ]);
+  } else if (loopIn !== null) {
+    setSeekMarkers("loop", [{ time: loopIn, label: `Loop in ${formatLoopTime(loopIn)}` }]);
+  } else {
+    setSeekMarkers("loop", []);
+  }
+}
@@ -0,0 +1,197 @@
+// Bookmarks: a moment in an event together with the view on it (orbit angles, FOV scale and
+// view preset), persisted in localStorage, listed in a side panel and ticked on the seek bar
+
+import { setSeekMarkers } from "./seekMarkers.js";
+
+const bookmarkPanel = document.getElementById("bookmarkPanel");
+const bookmarkList = document.getElementById("bookmarkList");
+const bookmarkAddBtn = document.getElementById("bookmarkAddBtn");
+const bookmarksBtn = document.getElementById("bookmarksBtn");
+const bookmarkPanelAdd = document.getElementById("bookmarkPanelAdd");
+const bookmarkExport = document.getElementById("bookmarkExport");
+const bookmarkClose = document.getElementById("bookmarkClose");
+
+const BOOKMARK_STORAGE_KEY = "tesla360.bookmarks";
+
+// View yaw -> words, in 45° sectors starting straight ahead and turning left
+const DIRECTIONS = ["front", "front-left", "left", "left-rear", "rear", "right-rear", "right", "front-right"];
+
+// [{ id, eventKey, eventLabel, time, azimuth, polar, viewYaw, fovScale, preset, name, createdAt }]
+let bookmarks = null;
+let callbacks = {
+  getEventKey: () => null, // stable key of the open event (reviewKey), null when nothing plays
+  getEventLabel: () => "",
+  getTime: () => 0,
+  captureView: () => ({}),
+  openBookmark: () => {},
+  formatTime: (t) => String(t),
+  setStatus: () => {},
+};
+
+function loadBookmarks() {
+  if (bookmarks) return bookmarks;
+  try {
+    const stored = JSON.parse(localStorage.getItem(BOOKMARK_STORAGE_KEY) || "[]");
+    bookmarks = Array.isArray(stored) ? stored : [];
+  } catch {
+    bookmarks = [];
+  }
+  return bookmarks;
+}
+
+function saveBookmarks() {
+  try {
+    localStorage.setItem(BOOKMARK_STORAGE_KEY, JSON.stringify(bookmarks));
+  } catch (err) {
+    console.warn("Could not save bookmarks", err);
+  }
+}
+
+export function initBookmarks(options) {
+  callbacks = { ...callbacks, ...options };
+  bookmarkAddBtn?.addEventListener("click", addBookmark);
+  bookmarkPanelAdd?.addEventListener("click", addBookmark);
+  bookmarksBtn?.addEventListener("click", toggleBookmarkPanel);
+  bookmarkClose?.addEventListener("click", () => bookmarkPanel?.classList.add("hidden"));
+  bookmarkExport?.addEventListener("click", exportBookmarks);
+}
+
+/** "left-rear" for a view yaw in degrees (0 = front, 90 = left) */
+export function describeDirection(yawDeg) {
+  const sector = Math.round((((yawDeg % 360) + 360) % 360) / 45) % DIRECTIONS.length;
+  return DIRECTIONS[sector];
+}
+
+/** Bookmark the current moment and view of the open event */
+export function addBookmark() {
+  const eventKey = callbacks.getEventKey();
+  if (!eventKey) return;
+  const time = callbacks.getTime();
+  const view = callbacks.captureView();
+  const bookmark = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    eventKey,
+    eventLabel: callbacks.getEventLabel(),
+    time,
+    azimuth: view.azimuth,
+    polar: view.polar,
+    viewYaw: view.viewYaw,
+    fovScale: view.fovScale,
+    preset: view.preset || null,
+    name: "",
+    createdAt: Date.now(),
+  };
+  loadBookmarks().push(bookmark);
+  saveBookmarks();
+  refreshBookmarks();
+  callbacks.setStatus(`Bookmarked ${describeBookmark(bookmark)}`);
+}
+
+export function removeBookmark(id) {
+  bookmarks = loadBookmarks().filter((b) => b.id !== id);
+  saveBookmarks();
+  refreshBookmarks();
+}
+
+function renameBookmark(id, name) {
+  const bookmark = loadBookmarks().find((b) => b.id === id);
+  if (!bookmark) return;
+  bookmark.name = name.trim();
+  saveBookmarks();
+  refreshBookmarks();
+}
+
+function describeBookmark(bookmark) {
+  const where = `${callbacks.formatTime(bookmark.time)}, looking ${describeDirection(bookmark.viewYaw ?? 0)}`;
+  return bookmark.name ? `${bookmark.name} (${where})` : where;
+}
+
+/** Redraw the seek bar ticks and the panel; call after an event opens */
+export function refreshBookmarks() {
+  const eventKey = callbacks.getEventKey();
+  const own = eventKey ? loadBookmarks().filter((b) => b.eventKey === eventKey) : [];
+  setSeekMarkers(
+    "bookmark",
+    own.map((bookmark) => ({
+      time: bookmark.time,
+      label: `🔖 ${describeBookmark(bookmark)}`,
+      onJump: () => callbacks.openBookmark(bookmark),
+    }))
+  );
+  renderBookmarkList();
+}
+
+export function toggleBookmarkPanel() {
+  if (!bookmarkPanel) return;
+  const opening = bookmarkPanel.classList.contains("hidden");
+  bookmarkPanel.classList.toggle("hidden", !opening);
+  bookmarksBtn?.classList.toggle("active", opening);
+  if (opening) renderBookmarkList();
+}
+
+function renderBookmarkList() {
+  bookmarksBtn?.classList.toggle("active", !!bookmarkPanel && !bookmarkPanel.classList.contains("hidden"));
+  if (!bookmarkList || bookmarkPanel?.classList.contains("hidden")) return;
+  bookmarkList.innerHTML = "";
+  const eventKey = callbacks.getEventKey();
+  const all = loadBookmarks();
+  if (!all.length) {
+    const empty = document.createElement("div");
+    empty.className = "helper-text";
+    empty.textContent = "No bookmarks yet. Add one to come back to this moment and view.";
+    bookmarkList.appendChild(empty);
+    return;
+  }
+  // The open event first, then the others by event and time
+  const sorted = all.slice().sort((a, b) => {
+    if ((a.eventKey === eventKey) !== (b.eventKey === eventKey)) return a.eventKey === eventKey ? -1 : 1;
+    return a.eventKey.localeCompare(b.eventKey) || a.time - b.time;
+  });
+  let lastEvent = null;
+  sorted.forEach((bookmark) => {
+    if (bookmark.eventKey !== lastEvent) {
+      lastEvent = bookmark.eventKey;
+      const heading = document.createElement("div");
+      heading.className = "bookmark-event";
+      heading.textContent = bookmark.eventKey === eventKey ? "This event" : bookmark.eventLabel || bookmark.eventKey;
+      bookmarkList.appendChild(heading);
+    }
+    const row = document.createElement("div");
+    row.className = "bookmark-row";
+    const jump = document.createElement("button");
+    jump.type = "button";
+    jump.className = "ghost-btn small bookmark-jump";
+    jump.textContent = `${callbacks.formatTime(bookmark.time)} · ${describeDirection(bookmark.viewYaw ?? 0)}`;
+    jump.title = [
+      bookmark.eventLabel,
+      `FOV ${(bookmark.fovScale ?? 1).toFixed(2)}x`,
+      bookmark.preset ? `Preset: ${bookmark.preset}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    jump.addEventListener("click", () => callbacks.openBookmark(bookmark));
+    const name = document.createElement("input");
+    name.type = "text";
+    name.placeholder = "Name";
+    name.value = bookmark.name || "";
+    name.addEventListener("change", (e) => renameBookmark(bookmark.id, e.target.value));
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "ghost-btn small";
+    remove.textContent = "✕";
+    remove.title = "Delete bookmark";
+    remove.addEventListener("click", () => removeBookmark(bookmark.id));
+    row.append(jump, name, remove);
+    bookmarkList.appendChild(row);
+  });
+}
+
+function exportBookmarks() {
+  const data = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), bookmarks: loadBookmarks() }, null, 2);
+  const url = URL.createObjectURL(new Blob([data], { type: "application/json" }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: "tesla360-bookmarks.json" });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1,17 +1,74 @@
 import { state, CAMS } from "./state.js";
-import { loadPresets, applyPreset, applyPresetByName } from "./presets.js";
-import { initTelemetry, loadTelemetryForFile, updateVisForCurrentTime } from "./telemetry.js";
+import { loadPresets, applyPreset, applyPresetByName, formatOffsetMs } from "./presets.js";
+import { initTelemetry, loadTelemetryForFiles, updateVisForCurrentTime, toggleTelemetryOverlay } from "./telemetry.js";
 import {
   loadVideos,
   initThree,
   renderLoop,
   pauseExperience,
   resumeExperience,
-  teardownExperience,
+  seekDrive,
+  getDriveTime,
+  findSegmentIndex,
+  beginDriveSwitch,
+  preloadDrive,
+  discardPreloadedDrive,
+  setDriveEndHandler,
+  renderStill,
+  lookAtYaw,
+  viewYawDeg,
+  setOrbitAngles,
 } from "./stitcher.js";
+import {
+  buildEventLibrary,
+  findUnmatchedClips,
+  fileRecordFromFile,
+  loadEventMetadata,
+  formatEventReason,
+  CATEGORY_LABELS,
+} from "./library.js";
+import { initSeekMarkers, setSeekMarkers, clearSeekMarkers } from "./seekMarkers.js";
+import { initEventBrowser, openEventBrowser, resetEventThumbnails, updateEventTileSummary } from "./eventBrowser.js";
+import { startEventIndexing } from "./eventIndex.js";
+import { isZipFile, recordsFromZip } from "./zipArchive.js";
+import { initDiagnostics, openDiagnostics } from "./diagnostics.js";
+import {
+  getReview,
+  reviewKey,
+  setReviewStatus,
+  setReviewTags,
+  setReviewNotes,
+  parseTags,
+  allReviewTags,
+  matchesReviewFilter,
+} from "./reviewState.js";
+import { startDuplicateDetection, isCollapsedDuplicate, describeDuplicateLocations } from "./duplicates.js";
+import { setSyncDebugVisible } from "./syncController.js";
+import { initPlaylist, handlePlaylistDriveEnd, notePlaylistEvent, isPlaylistActive, stepPlaylist } from "./playlist.js";
+import { initTransport, stopReverse, shuttle, stepFrame, seekBy, seekTo } from "./transport.js";
+import { initKeymap, isActionHeld, openKeymapHelp, getBinding, formatBinding } from "./keymap.js";
+import { initAbLoop, setLoopIn, setLoopOut, clearLoop } from "./abLoop.js";
+import { initBookmarks, addBookmark, refreshBookmarks, toggleBookmarkPanel } from "./bookmarks.js";
+import { initSeekSparkline, scheduleSparkline } from "./seekSparkline.js";
+import { hasWebCodecs } from "./webCodecsPipeline.js";
+import { alignDriveSegments } from "./seqAlign.js";
+import { initDayTimeline, showDayTimeline, isDayTimelineOpen, refreshDayTimeline } from "./dayTimeline.js";
+import { initEventSearch, getSearchMatches, getMatchRanges, rerunSearch, updateSearchForEvent } from "./eventSearch.js";
+import {
+  isFolderAccessSupported,
+  pickLibraryFolder,
+  getStoredFolder,
+  ensureFolderPermission,
+  scanLibraryFolder,
+  loadEventMetaCache,
+  saveEventMetaCache,
+  saveLastPlayback,
+  loadLastPlayback,
+} from "./folderAccess.js";
 import { setMotionEffectsEnabled, setMotionIntensity, setAutoSteerEnabled, setAutoSteerIntensity } from "./motionEffects.js";
 
 const statusText = document.getElementById("statusText");
+const indexStatus = document.getElementById("indexStatus");
 const togglePlayButton = document.getElementById("togglePlayButton");
 const camToggle = document.getElementById("camToggle");
 const camControlsWrap = document.getElementById("camControlsWrap");
@@ -24,10 +81,24 @@ const fovScaleValue = document.getElementById("fovScaleValue");
 const presetSelect = document.getElementById("presetSelect");
 const prioritySelect = document.getElementById("prioritySelect");
 const invertControlsToggle = document.getElementById("invertControlsToggle");
+const syncDebugToggle = document.getElementById("syncDebugToggle");
+const webCodecsToggle = document.getElementById("webCodecsToggle");
 const lockPitchToggle = document.getElementById("lockPitchToggle");
 const chooseFolderBtn = document.getElementById("chooseFolderBtn");
 const folderInput = document.getElementById("folderInput");
+const diagnosticsBtn = document.getElementById("diagnosticsBtn");
+const openZipBtn = document.getElementById("openZipBtn");
+const zipInput = document.getElementById("zipInput");
+const dropOverlay = document.getElementById("dropOverlay");
+const reopenFolderBtn = document.getElementById("reopenFolderBtn");
+const rescanBtn = document.getElementById("rescanBtn");
 const eventSelect = document.getElementById("eventSelect");
+const categoryFilter = document.getElementById("categoryFilter");
+const reviewFilter = document.getElementById("reviewFilter");
+const reviewPanel = document.getElementById("reviewPanel");
+const reviewTags = document.getElementById("reviewTags");
+const reviewNotes = document.getElementById("reviewNotes");
+const nextUnreviewedBtn = document.getElementById("nextUnreviewedBtn");
 const seekSlider = document.getElementById("seekSlider");
 const currentTimeLabel = document.getElementById("currentTime");
 const durationTimeLabel = document.getElementById("durationTime");
@@ -35,13 +106,21 @@ const viewerEl = document.getElementById("viewer");
 const ffmpegHelpBtn = document.getElementById("ffmpegHelpBtn");
 const calendarToggle = document.getElementById("calendarToggle");
 const calendarPopover = document.getElementById("calendarPopover");
+const searchToggle = document.getElementById("searchToggle");
+const searchPopover = document.getElementById("searchPopover");
 const calendarContainer = document.getElementById("calendarContainer");
 const calendarEventsList = document.getElementById("calendarEventsList");
+const calendarGridBtn = document.getElementById("calendarGridBtn");
+const calendarTimelineBtn = document.getElementById("calendarTimelineBtn");
+const browseToggle = document.getElementById("browseToggle");
 const exportPresetBtn = document.getElementById("exportPresetBtn");
 const presetExportText = document.getElementById("presetExportText");
 const exportStatus = document.getElementById("exportStatus");
 const resetViewBtn = document.getElementById("resetViewBtn");
 const resetCamsBtn = document.getElementById("resetCamsBtn");
+const seamSelect = document.getElementById("seamSelect");
+const seamLookBtn = document.getElementById("seamLookBtn");
+const keymapBtn = document.getElementById("keymapBtn");
 const advancedToggle = document.getElementById("advancedToggle");
 const advancedWrap = document.getElementById("advancedWrap");
 const motionEffectsToggle = document.getElementById("motionEffectsToggle");
@@ -57,6 +136,32 @@ function setStatus(text) {
   if (statusText) statusText.textContent = text;
 }
 
+function setIndexProgress(done, total) {
+  if (!indexStatus) return;
+  indexStatus.textContent = done < total ? `Indexing telemetry: ${done}/${total} events` : `Indexed ${total} events`;
+  indexStatus.classList.toggle("hidden", !total);
+}
+
+// Copies of the same minute across RecentClips/SavedClips/SentryClips, collapsed in the lists
+function findLibraryDuplicates() {
+  startDuplicateDetection(state.eventMap, { onChange: refreshEventFilters }).catch((err) =>
+    console.warn("Duplicate detection stopped", err)
+  );
+}
+
+// Background pass over every event's front clips; cached summaries make repeat runs cheap
+function indexLibrary() {
+  startEventIndexing(state.eventMap, {
+    priorityKey: state.currentEventKey,
+    onProgress: setIndexProgress,
+    onEventIndexed: (key) => {
+      updateEventTileSummary(key);
+      updateSearchForEvent(key);
+      if (key === state.currentEventKey) scheduleSparkline();
+    },
+  }).catch((err) => console.warn("Event indexing stopped", err));
+}
+
 function formatTime(t) {
   if (!Number.isFinite(t)) return "00:00";
   const mins = Math.floor(t / 60);
@@ -75,11 +180,14 @@ function buildCamControls() {
   state.currentYawDeg = CAMS.map((c) => c.yawDeg);
   state.currentFovHDeg = CAMS.map((c) => c.fovH);
   state.enabledFlags = CAMS.map(() => true);
+  state.camOffsetMs = CAMS.map(() => 0);
   state.yawInputs = [];
   state.yawValues = [];
   state.fovInputs = [];
   state.fovValues = [];
   state.toggleInputs = [];
+  state.offsetInputs = [];
+  state.offsetValues = [];
 
   CAMS.forEach((cam, idx) => {
     const group = document.createElement("div");
@@ -140,6 +248,38 @@ function buildCamControls() {
     state.fovInputs.push(fovInput);
     state.fovValues.push(fovValue);
 
+    // Time offset for footage that is a few frames off, nudged a frame at a time
+    const offsetRow = document.createElement("div");
+    offsetRow.className = "cam-slider-row cam-offset-row";
+    const offsetLabel = document.createElement("label");
+    offsetLabel.textContent = `Offset: `;
+    const offsetValue = document.createElement("span");
+    offsetValue.textContent = formatOffsetMs(0);
+    offsetLabel.appendChild(offsetValue);
+    const offsetInput = document.createElement("input");
+    offsetInput.type = "range";
+    offsetInput.min = -MAX_CAM_OFFSET_MS;
+    offsetInput.max = MAX_CAM_OFFSET_MS;
+    offsetInput.step = 1;
+    offsetInput.value = 0;
+    offsetInput.addEventListener("input", (e) => setCamOffset(idx, parseFloat(e.target.value)));
+    const nudgeButton = (step) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "ghost-btn small offset-nudge";
+      btn.textContent = step < 0 ? "−1f" : "+1f";
+      btn.title = step < 0 ? "Show this camera one frame earlier" : "Show this camera one frame later";
+      btn.addEventListener("click", () => setCamOffset(idx, (state.camOffsetMs[idx] || 0) + step * FRAME_MS));
+      return btn;
+    };
+    offsetRow.appendChild(offsetLabel);
+    offsetRow.appendChild(nudgeButton(-1));
+    offsetRow.appendChild(offsetInput);
+    offsetRow.appendChild(nudgeButton(1));
+    group.appendChild(offsetRow);
+    state.offsetInputs.push(offsetInput);
+    state.offsetValues.push(offsetValue);
+
     const toggleRow = document.createElement("div");
     toggleRow.className = "cam-toggle-row";
     const toggleInput = document.createElement("input");
@@ -160,6 +300,32 @@ function buildCamControls() {
   });
 }
 
+// One frame at Tesla's ~36 fps, the offset nudge step
+const FRAME_MS = 1000 / 36;
+const MAX_CAM_OFFSET_MS = 1000;
+
+function setCamOffset(idx, ms) {
+  const clamped = Math.round(Math.max(-MAX_CAM_OFFSET_MS, Math.min(MAX_CAM_OFFSET_MS, ms)));
+  state.camOffsetMs[idx] = clamped;
+  if (state.offsetInputs[idx]) state.offsetInputs[idx].value = clamped;
+  if (state.offsetValues[idx]) state.offsetValues[idx].textContent = formatOffsetMs(clamped);
+  applyCamOffsets();
+}
+
+// Re-seek in place so the new offsets show at once (and on the still frame while paused)
+function applyCamOffsets() {
+  if (state.isInitialized) seekBy(0);
+}
+
+function resetCamOffsets() {
+  CAMS.forEach((_cam, idx) => {
+    state.camOffsetMs[idx] = 0;
+    if (state.offsetInputs[idx]) state.offsetInputs[idx].value = 0;
+    if (state.offsetValues[idx]) state.offsetValues[idx].textContent = formatOffsetMs(0);
+  });
+  applyCamOffsets();
+}
+
 function updateCamUniforms() {
   if (!state.material?.uniforms) return;
   const yawArr = state.currentYawDeg.map((d) => (d * Math.PI) / 180);
@@ -199,58 +365,254 @@ function clearObjectUrls() {
   state.objectUrls = [];
 }
 
-function deriveCamId(name) {
-  const match = name.match(/^(.*)-(front|back|left_pillar|left_repeater|right_pillar|right_repeater)\.mp4$/i);
-  if (!match) return null;
-  return match[2].toLowerCase();
+/**
+ * Replace the event library and pick what to play.
+ * options.metaCache: event.json cache (see loadEventMetadata)
+ * options.keepCurrent: rescan of the same folder; don't restart the event that's playing
+ * options.resume: { eventKey, time } to reopen instead of the first event
+ */
+async function loadLibrary(records, options = {}) {
+  setStatus("Reading folder…");
+  const playingKey = state.isInitialized ? state.currentEventKey : null;
+  if (!options.keepCurrent) resetEventThumbnails();
+  state.eventMap = buildEventLibrary(records);
+  state.unmatchedFiles = findUnmatchedClips(records);
+  await loadEventMetadata(state.eventMap, options.metaCache);
+  rebuildReviewFilterOptions();
+  rerunSearch();
+  rebuildDateEventMap();
+  initCalendar();
+
+  if (options.keepCurrent && playingKey && state.eventMap.has(playingKey)) {
+    populateEventSelect();
+    if (eventSelect) eventSelect.value = playingKey;
+    state.currentEventKey = playingKey;
+    setStatus(state.isPaused ? "Paused" : "Playing");
+    findLibraryDuplicates();
+    indexLibrary();
+    return;
+  }
+  const resumeKey = options.resume?.eventKey;
+  if (resumeKey && state.eventMap.has(resumeKey)) {
+    state.currentEventKey = resumeKey;
+  }
+  populateEventSelect();
+  if (state.currentEventKey) {
+    const startTime = state.currentEventKey === resumeKey ? options.resume.time : 0;
+    applyEventSources(state.currentEventKey, { startTime });
+  } else {
+    setStatus("No TeslaCam clips found");
+  }
+  findLibraryDuplicates();
+  indexLibrary();
+}
+
+async function openLibraryFolder(handle, options = {}) {
+  state.libraryHandle = handle;
+  if (reopenFolderBtn) reopenFolderBtn.classList.add("hidden");
+  if (rescanBtn) rescanBtn.classList.remove("hidden");
+  setStatus(`Scanning ${handle.name}…`);
+  const { records, added } = await scanLibraryFolder(handle, (count) => setStatus(`Scanning ${handle.name}… ${count} files`));
+  const metaCache = await loadEventMetaCache();
+  await loadLibrary(records, { ...options, metaCache });
+  saveEventMetaCache(metaCache);
+  if (options.keepCurrent) setStatus(`Rescanned: ${added} new file${added === 1 ? "" : "s"}`);
+}
+
+// Libraries from the file input or a drop can't be rescanned
+function detachLibraryFolder() {
+  state.libraryHandle = null;
+  if (rescanBtn) rescanBtn.classList.add("hidden");
 }
 
 function parseFolderFiles(fileList) {
-  state.eventMap = new Map();
-  for (const f of fileList) {
-    if (!f.name.toLowerCase().endsWith(".mp4")) continue;
-    const camId = deriveCamId(f.name);
-    if (!camId) continue;
-    const prefix = f.name.replace(/-(front|back|left_pillar|left_repeater|right_pillar|right_repeater)\.mp4$/i, "");
-    if (!state.eventMap.has(prefix)) {
-      state.eventMap.set(prefix, {});
+  detachLibraryFolder();
+  return loadLibrary(Array.from(fileList, (f) => fileRecordFromFile(f)));
+}
+
+const DROP_ACCEPT = /\.(mp4|json|png|zip)$/i;
+
+// Replace ZIP records with records for the entries inside them
+async function expandZipRecords(records) {
+  const expanded = [];
+  for (const record of records) {
+    if (!/\.zip$/i.test(record.name)) {
+      expanded.push(record);
+      continue;
     }
-    state.eventMap.get(prefix)[camId] = f;
+    setStatus(`Reading ${record.name}…`);
+    expanded.push(...(await recordsFromZip(await record.getFile(), record.path)));
   }
-  rebuildDateEventMap();
-  initCalendar();
+  return expanded;
+}
+
+async function openZipFiles(fileList) {
+  const zips = Array.from(fileList).filter(isZipFile);
+  const records = await expandZipRecords(zips.map((f) => fileRecordFromFile(f, f.name)));
+  if (!records.length) {
+    setStatus("No TeslaCam clips in that archive");
+    return;
+  }
+  detachLibraryFolder();
+  await loadLibrary(records);
+}
+
+async function handleDrop(dataTransfer) {
+  let records;
+  if (window.DashcamHelpers && dataTransfer.items?.length) {
+    const { files, paths } = await window.DashcamHelpers.getFilesFromDataTransfer(dataTransfer.items, {
+      accept: (name) => DROP_ACCEPT.test(name),
+    });
+    records = files.map((f, idx) => fileRecordFromFile(f, paths[idx]));
+  } else {
+    records = Array.from(dataTransfer.files || [], (f) => fileRecordFromFile(f, f.name));
+  }
+  records = await expandZipRecords(records);
+  if (!records.length) {
+    setStatus("Nothing to open in that drop");
+    return;
+  }
+  detachLibraryFolder();
+  await loadLibrary(records);
+}
+
+// Keys of events that pass the category and review filters and any active telemetry search,
+// in chronological order. Copies of clips that are listed elsewhere collapse into that entry.
+function visibleEventKeys() {
+  const keys = [];
+  const matches = getSearchMatches();
+  state.eventMap.forEach((event, key) => {
+    if (state.categoryFilter !== "all" && event.category !== state.categoryFilter) return;
+    if (!matchesReviewFilter(event, state.reviewFilter)) return;
+    if (matches && !matches.has(key)) return;
+    keys.push(key);
+  });
+  const listed = new Set(keys);
+  return keys.filter((key) => !isCollapsedDuplicate(key, (other) => listed.has(other)));
+}
+
+const REVIEW_MARKS = { reviewed: "✓ ", starred: "★ " };
+
+function describeEvent(key) {
+  const event = state.eventMap.get(key);
+  if (!event) return key;
+  const clipCount = event.clips.length;
+  const mark = REVIEW_MARKS[getReview(event).status] || "";
+  const label = `${mark}[${CATEGORY_LABELS[event.category]}] ${event.startPrefix}`;
+  return clipCount > 1 ? `${label} (${clipCount} clips)` : label;
+}
+
+function renderReviewPanel() {
+  if (!reviewPanel) return;
+  const event = state.eventMap.get(state.currentEventKey);
+  reviewPanel.classList.toggle("hidden", !event);
+  if (!event) return;
+  const review = getReview(event);
+  reviewPanel.querySelectorAll(".review-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.status === review.status);
+  });
+  if (reviewTags) reviewTags.value = review.tags.join(", ");
+  if (reviewNotes) reviewNotes.value = review.notes;
+}
+
+function rebuildReviewFilterOptions() {
+  if (!reviewFilter) return;
+  reviewFilter.querySelector("optgroup")?.remove();
+  const tags = allReviewTags();
+  if (tags.length) {
+    const group = document.createElement("optgroup");
+    group.label = "Tags";
+    tags.forEach((tag) => {
+      const opt = document.createElement("option");
+      opt.value = `tag:${tag}`;
+      opt.textContent = tag;
+      group.appendChild(opt);
+    });
+    reviewFilter.appendChild(group);
+  }
+  // A tag filter whose last use was removed falls back to showing everything
+  if (!Array.from(reviewFilter.options).some((opt) => opt.value === state.reviewFilter)) {
+    state.reviewFilter = "all";
+  }
+  reviewFilter.value = state.reviewFilter;
+}
+
+// Review edits change labels and possibly filter membership
+function onReviewChanged() {
+  rebuildReviewFilterOptions();
+  refreshEventFilters();
+  renderReviewPanel();
+}
+
+/** Open the next unreviewed event after the current one (category filter applies, wraps around) */
+function openNextUnreviewed() {
+  const keys = Array.from(state.eventMap.keys()).filter((key) => {
+    const event = state.eventMap.get(key);
+    return state.categoryFilter === "all" || event.category === state.categoryFilter;
+  });
+  const start = keys.indexOf(state.currentEventKey);
+  for (let i = 1; i <= keys.length; i++) {
+    const key = keys[(start + i) % keys.length];
+    if (key !== state.currentEventKey && getReview(state.eventMap.get(key)).status === "unreviewed") {
+      if (state.reviewFilter !== "all" && state.reviewFilter !== "unreviewed") {
+        state.reviewFilter = "all";
+        if (reviewFilter) reviewFilter.value = "all";
+        refreshEventFilters();
+      }
+      selectEvent(key);
+      return;
+    }
+  }
+  setStatus("No unreviewed events left");
+}
+
+function describeEventMeta(key) {
+  const meta = state.eventMap.get(key)?.meta;
+  if (!meta) return "";
+  return [formatEventReason(meta.reason), meta.city].filter(Boolean).join(" · ");
+}
+
+function describeDuplicates(key) {
+  const locations = describeDuplicateLocations(key);
+  return locations ? `⧉ Also in ${locations}` : "";
 }
 
 function populateEventSelect() {
   if (!eventSelect) return;
   eventSelect.innerHTML = "";
-  const entries = Array.from(state.eventMap.keys()).sort();
+  const entries = visibleEventKeys();
   if (entries.length === 0) {
     const opt = document.createElement("option");
     opt.value = "";
-    opt.textContent = "No events found";
+    opt.textContent = state.eventMap.size ? "No events match the filters" : "No events found";
     eventSelect.appendChild(opt);
     return;
   }
   entries.forEach((key) => {
     const opt = document.createElement("option");
     opt.value = key;
-    opt.textContent = key;
+    const metaText = describeEventMeta(key);
+    opt.textContent = metaText ? `${describeEvent(key)} — ${metaText}` : describeEvent(key);
+    const dupText = describeDuplicates(key);
+    if (dupText) opt.textContent += " ⧉";
+    opt.title = dupText ? `${key}\n${dupText}` : key;
     eventSelect.appendChild(opt);
   });
-  state.currentEventKey = entries[0];
-  eventSelect.value = state.currentEventKey;
-}
-
-function deriveDateKey(prefix) {
-  const match = prefix.match(/^(\d{4}-\d{2}-\d{2})/);
-  return match ? match[1] : null;
+  if (entries.includes(state.currentEventKey)) {
+    eventSelect.value = state.currentEventKey;
+  } else if (state.isInitialized && state.eventMap.has(state.currentEventKey)) {
+    // The playing event was filtered out; keep playing it rather than switching underneath
+    eventSelect.value = "";
+  } else {
+    state.currentEventKey = entries[0];
+    eventSelect.value = state.currentEventKey;
+  }
 }
 
 function rebuildDateEventMap() {
   state.dateEventMap = new Map();
-  for (const key of state.eventMap.keys()) {
-    const dateKey = deriveDateKey(key);
+  for (const key of visibleEventKeys()) {
+    const dateKey = state.eventMap.get(key).dateKey;
     if (!dateKey) continue;
     if (!state.dateEventMap.has(dateKey)) {
       state.dateEventMap.set(dateKey, { count: 0, events: [] });
@@ -269,22 +631,55 @@ function renderEventListForDate(dateKey) {
     calendarEventsList.textContent = "No events for this day.";
     return;
   }
-  const sorted = [...entry.events].sort();
-  sorted.forEach((key) => {
+  entry.events.forEach((key) => {
+    const event = state.eventMap.get(key);
     const row = document.createElement("div");
     row.className = "event-row";
     row.dataset.eventKey = key;
-    const timePart = key.split("_")[1] || key;
-    row.innerHTML = `<div>${key}</div><div class="time">${timePart}</div>`;
+    row.title = key;
+    const labelEl = document.createElement("div");
+    labelEl.textContent = describeEvent(key);
+    const timeEl = document.createElement("div");
+    timeEl.className = "time";
+    timeEl.textContent = event.startPrefix.split("_")[1] || event.startPrefix;
+    row.append(labelEl, timeEl);
+    const metaText = describeEventMeta(key);
+    if (metaText) {
+      const metaEl = document.createElement("div");
+      metaEl.className = "event-meta";
+      metaEl.textContent = metaText;
+      row.appendChild(metaEl);
+    }
+    const dupText = describeDuplicates(key);
+    if (dupText) {
+      const dupEl = document.createElement("div");
+      dupEl.className = "event-dupes";
+      dupEl.textContent = dupText;
+      row.appendChild(dupEl);
+    }
     row.addEventListener("click", () => {
-      if (eventSelect) eventSelect.value = key;
-      applyEventSources(key);
+      selectEvent(key);
       hideCalendarPopover();
     });
     calendarEventsList.appendChild(row);
   });
 }
 
+function setCategoryFilter(category) {
+  state.categoryFilter = category;
+  refreshEventFilters();
+}
+
+function refreshEventFilters() {
+  rebuildDateEventMap();
+  populateEventSelect();
+  if (state.calendarSelectedDate && !state.dateEventMap.has(state.calendarSelectedDate)) {
+    state.calendarSelectedDate = null;
+  }
+  initCalendar();
+  refreshDayTimeline();
+}
+
 function heatTier(count) {
   if (count >= 5) return 4;
   if (count >= 3) return 3;
@@ -317,6 +712,7 @@ function initCalendar() {
       const dateKey = selectedDates[0].toISOString().slice(0, 10);
       state.calendarSelectedDate = dateKey;
       renderEventListForDate(dateKey);
+      if (isDayTimelineOpen()) showDayTimeline(dateKey);
     },
   });
   if (state.calendarSelectedDate) {
@@ -341,10 +737,76 @@ function hideCalendarPopover() {
   calendarPopover.classList.add("hidden");
 }
 
-function applyEventSources(key) {
-  if (!key || !state.eventMap.has(key)) return;
+function hideSearchPopover() {
+  searchPopover?.classList.add("hidden");
+}
+
+// Search results changed: filter the library and highlight matches in the playing event
+function onSearchResultsChange() {
+  refreshEventFilters();
+  if (state.isInitialized) setSeekMarkers("search", buildSearchMarkers(state.currentEventKey));
+}
+
+function buildSearchMarkers(key) {
+  return getMatchRanges(key).map((range) => ({ time: range.start, end: range.end, label: "Search match" }));
+}
+
+function selectEvent(key) {
+  if (eventSelect) eventSelect.value = key;
+  applyEventSources(key);
+}
+
+/**
+ * Resolve an event's files into object URLs and drive segments.
+ * Used for the event being opened and for buffering the next playlist entry.
+ */
+async function prepareEventSources(event) {
+  const clipFiles = await Promise.all(
+    event.clips.map(async (clip) => {
+      const files = {};
+      for (const cam of CAMS) {
+        if (clip.cams[cam.id]) files[cam.id] = await clip.cams[cam.id].getFile();
+      }
+      return files;
+    })
+  );
+  const urls = [];
+  const segments = event.clips.map((clip, clipIdx) => ({
+    prefix: clip.prefix,
+    sources: CAMS.map((cam) => {
+      const file = clipFiles[clipIdx][cam.id];
+      if (!file) return "";
+      const url = URL.createObjectURL(file);
+      urls.push(url);
+      return url;
+    }),
+    offset: 0,
+    duration: 0,
+  }));
+  const enabled = CAMS.map((cam) => event.clips.some((clip) => clip.cams[cam.id]));
+  return { key: event.key, clipFiles, segments, urls, enabled };
+}
+
+function discardPreparedSources(prepared) {
+  discardPreloadedDrive(prepared.segments);
+  prepared.urls.forEach((url) => URL.revokeObjectURL(url));
+}
+
+/**
+ * Open an event.
+ * options.startTime: drive time to start at; options.startAtMs: wall-clock time to start at
+ * options.prepared: sources from prepareEventSources (e.g. preloaded by the playlist)
+ * options.onStarted: called once the event plays (after the start seek was issued)
+ * Resolves true once loading started, false when the key isn't in the library (any more), and
+ * undefined when another event was opened meanwhile.
+ */
+async function applyEventSources(key, options = {}) {
+  if (!key || !state.eventMap.has(key)) return false;
   state.currentEventKey = key;
-  const dateKey = deriveDateKey(key);
+  renderReviewPanel();
+  notePlaylistEvent(key);
+  const event = state.eventMap.get(key);
+  const dateKey = event.dateKey;
   if (dateKey) {
     state.calendarSelectedDate = dateKey;
     if (state.calendarInstance && typeof state.calendarInstance.setDate === "function") {
@@ -352,34 +814,108 @@ function applyEventSources(key) {
     }
     renderEventListForDate(dateKey);
   }
-  clearObjectUrls();
-  const cams = state.eventMap.get(key);
-  if (cams["front"]) {
-    loadTelemetryForFile(cams["front"]);
+  const prepared = options.prepared?.key === key ? options.prepared : await prepareEventSources(event);
+  if (state.currentEventKey !== key) {
+    discardPreparedSources(prepared);
+    return;
   }
+  const { clipFiles } = prepared;
+  clearObjectUrls();
+  state.objectUrls = prepared.urls.slice();
+  state.driveSegments = prepared.segments;
   CAMS.forEach((cam, idx) => {
-    const file = cams[cam.id];
-    if (file) {
-      const url = URL.createObjectURL(file);
-      state.objectUrls.push(url);
-      cam.file = url;
-      state.enabledFlags[idx] = true;
-      if (state.toggleInputs[idx]) {
-        state.toggleInputs[idx].checked = true;
-        state.toggleInputs[idx].disabled = false;
-      }
-    } else {
-      cam.file = "";
-      state.enabledFlags[idx] = false;
-      if (state.toggleInputs[idx]) {
-        state.toggleInputs[idx].checked = false;
-        state.toggleInputs[idx].disabled = true;
-      }
+    const present = prepared.enabled[idx];
+    state.enabledFlags[idx] = present;
+    if (state.toggleInputs[idx]) {
+      state.toggleInputs[idx].checked = present;
+      state.toggleInputs[idx].disabled = !present;
     }
   });
   updateCamUniforms();
-  startExperience();
+  clearLoop();
+  clearSeekMarkers();
+  refreshDayTimeline();
+  startExperience().then(() => {
+    if (state.currentEventKey !== key) return;
+    setSeekMarkers("trigger", buildTriggerMarkers(event));
+    setSeekMarkers("search", buildSearchMarkers(key));
+    refreshBookmarks();
+    const startTime = options.startAtMs != null ? driveTimeForTimestamp(event, options.startAtMs) : options.startTime;
+    if (startTime > 0 && state.isInitialized) {
+      seekToDriveTime(Math.min(startTime, state.masterDuration));
+    }
+    if (state.isInitialized) options.onStarted?.();
+    const frontFiles = clipFiles.map((files) => files["front"] || null);
+    loadTelemetryForFiles(frontFiles, state.driveSegments.map((segment) => segment.offset));
+    const segments = state.driveSegments;
+    alignDriveSegments(segments, clipFiles, {
+      firstIndex: state.segmentIndex,
+      onSegmentAligned: (index) => {
+        // Snap the followers onto the leader's sequence numbers as soon as the playing clip set is read
+        if (state.driveSegments === segments && index === state.segmentIndex && state.isInitialized) {
+          seekToDriveTime(getDriveTime());
+        }
+      },
+    });
+  });
   setUiCollapsed(true);
+  return true;
+}
+
+// Events a playlist mode covers, in chronological order
+function playlistKeys(mode) {
+  if (mode === "day") {
+    const dateKey = state.eventMap.get(state.currentEventKey)?.dateKey || state.calendarSelectedDate;
+    return visibleEventKeys().filter((key) => state.eventMap.get(key).dateKey === dateKey);
+  }
+  if (mode === "starred") {
+    return Array.from(state.eventMap.keys()).filter((key) => getReview(state.eventMap.get(key)).status === "starred");
+  }
+  return visibleEventKeys();
+}
+
+// Map a wall-clock timestamp onto the drive timeline using the clip it falls in
+function driveTimeForTimestamp(event, ms) {
+  let index = -1;
+  event.clips.forEach((clip, idx) => {
+    if (clip.startMs !== null && clip.startMs <= ms) index = idx;
+  });
+  const segment = state.driveSegments[index];
+  if (!segment) return null;
+  return segment.offset + (ms - event.clips[index].startMs) / 1000;
+}
+
+// Inverse of driveTimeForTimestamp for the playing event (null when nothing is playing)
+function currentWallClockMs() {
+  const event = state.eventMap.get(state.currentEventKey);
+  if (!event || !state.isInitialized || !state.driveSegments.length) return null;
+  const time = getDriveTime();
+  const index = findSegmentIndex(time);
+  const clip = event.clips[index];
+  if (!clip || clip.startMs === null) return null;
+  return clip.startMs + (time - state.driveSegments[index].offset) * 1000;
+}
+
+function buildTriggerMarkers(event) {
+  const meta = event.meta;
+  if (!meta || meta.triggerMs === null) return [];
+  const time = driveTimeForTimestamp(event, meta.triggerMs);
+  if (time === null) return [];
+  const camText = meta.camera ? ` (${meta.camera.replace("_", " ")})` : "";
+  const label = [formatEventReason(meta.reason) + camText, meta.city].filter(Boolean).join(" · ");
+  return [{ time, label: label || "Event trigger" }];
+}
+
+function seekToDriveTime(time) {
+  if (!state.isInitialized) return;
+  if (seekSlider) seekSlider.value = time;
+  if (currentTimeLabel) currentTimeLabel.textContent = formatTime(time);
+  updateVisForCurrentTime(time);
+  // Keep the render loop off the slider until a clip-set switch has landed
+  state.isSeeking = true;
+  return seekDrive(time).finally(() => {
+    state.isSeeking = false;
+  });
 }
 
 function setFovScale(val) {
@@ -394,18 +930,18 @@ function setFovScale(val) {
 }
 
 function startExperience() {
-  if (state.isInitialized) {
-    teardownExperience();
-  }
+  // With a scene already up, keep its last frame on screen while the new videos load
+  if (state.renderer) beginDriveSwitch();
   if (togglePlayButton) togglePlayButton.disabled = false;
   if (togglePlayButton) togglePlayButton.textContent = "Pause";
   state.isPaused = false;
   setStatus("Initializing…");
-  loadVideos(seekSlider, currentTimeLabel, durationTimeLabel, setStatus)
-    .then(() => {
-      initThree(viewerEl);
+  return loadVideos(seekSlider, currentTimeLabel, durationTimeLabel, setStatus)
+    .then((loaded) => {
+      if (!loaded) return;
+      if (!state.renderer) initThree(viewerEl);
       updateCamUniforms();
-      renderLoop(seekSlider, currentTimeLabel, formatTime);
+      if (!state.animationHandle) renderLoop(seekSlider, currentTimeLabel, formatTime);
       setStatus("Playing");
       state.isInitialized = true;
       setUiCollapsed(true);
@@ -417,6 +953,7 @@ function startExperience() {
 }
 
 function pauseExperienceLocal() {
+  stopReverse();
   pauseExperience(setStatus);
   state.isPaused = true;
   if (togglePlayButton) togglePlayButton.textContent = "Resume";
@@ -432,6 +969,82 @@ function resumeExperienceLocal() {
 
 initTelemetry();
 
+initSeekMarkers(seekToDriveTime);
+
+initEventBrowser({ getEventKeys: visibleEventKeys, onSelect: selectEvent });
+initDiagnostics({ describeEvent, onSelect: selectEvent });
+initPlaylist({
+  buildKeys: playlistKeys,
+  play: (key, prepared) => {
+    if (eventSelect) eventSelect.value = key;
+    return applyEventSources(key, { prepared }).catch((err) => {
+      console.error(err);
+      setStatus(err.message || "Failed to open event");
+      return false;
+    });
+  },
+  prepare: async (key) => {
+    const prepared = await prepareEventSources(state.eventMap.get(key));
+    preloadDrive(prepared.segments, prepared.enabled);
+    return prepared;
+  },
+  discard: discardPreparedSources,
+  getRemaining: () => state.masterDuration - getDriveTime(),
+  onFinished: () => setStatus("Playlist finished"),
+});
+setDriveEndHandler(handlePlaylistDriveEnd);
+initTransport({
+  seek: seekToDriveTime,
+  getTime: getDriveTime,
+  pause: pauseExperienceLocal,
+  resume: resumeExperienceLocal,
+  renderStill,
+  setStatus,
+});
+initAbLoop({ seek: seekToDriveTime, getTime: getDriveTime, setStatus });
+initSeekSparkline();
+initBookmarks({
+  getEventKey: () => {
+    const event = state.isInitialized ? state.eventMap.get(state.currentEventKey) : null;
+    return event ? reviewKey(event) : null;
+  },
+  getEventLabel: () => {
+    const event = state.eventMap.get(state.currentEventKey);
+    return event ? `[${CATEGORY_LABELS[event.category]}] ${event.startPrefix}` : "";
+  },
+  getTime: getDriveTime,
+  captureView,
+  openBookmark,
+  formatTime,
+  setStatus,
+});
+initDayTimeline({
+  getEventKeys: visibleEventKeys,
+  getPlayheadMs: currentWallClockMs,
+  onSelect: (key, ms) => {
+    const event = state.eventMap.get(key);
+    const time = key === state.currentEventKey && state.isInitialized ? driveTimeForTimestamp(event, ms) : null;
+    if (time !== null) {
+      seekToDriveTime(Math.max(0, Math.min(time, state.masterDuration)));
+    } else {
+      if (eventSelect) eventSelect.value = key;
+      applyEventSources(key, { startAtMs: ms });
+    }
+  },
+});
+initEventSearch({
+  describeEvent,
+  onSelect: (key, time) => {
+    if (key === state.currentEventKey && state.isInitialized) {
+      seekToDriveTime(time);
+    } else {
+      if (eventSelect) eventSelect.value = key;
+      applyEventSources(key, { startTime: time });
+    }
+  },
+  onResultsChange: onSearchResultsChange,
+});
+
 buildCamControls();
 
 if (camToggle && camControlsWrap) {
@@ -476,6 +1089,27 @@ if (fovScaleSlider) {
   });
 }
 
+if (syncDebugToggle) {
+  syncDebugToggle.addEventListener("change", (e) => setSyncDebugVisible(e.target.checked));
+}
+
+const WEBCODECS_STORAGE_KEY = "tesla360.webcodecs";
+
+if (webCodecsToggle) {
+  state.useWebCodecs = hasWebCodecs && localStorage.getItem(WEBCODECS_STORAGE_KEY) === "1";
+  webCodecsToggle.checked = state.useWebCodecs;
+  webCodecsToggle.disabled = !hasWebCodecs;
+  if (!hasWebCodecs) webCodecsToggle.title = "This browser has no WebCodecs VideoDecoder; <video> playback is used";
+  webCodecsToggle.addEventListener("change", (e) => {
+    state.useWebCodecs = e.target.checked;
+    localStorage.setItem(WEBCODECS_STORAGE_KEY, state.useWebCodecs ? "1" : "0");
+    // Reload the current event through the other pipeline at the same position
+    if (state.isInitialized && state.currentEventKey) {
+      applyEventSources(state.currentEventKey, { startTime: getDriveTime() });
+    }
+  });
+}
+
 if (invertControlsToggle) {
   invertControlsToggle.checked = true;
   invertControlsToggle.addEventListener("change", (e) => {
@@ -657,14 +1291,7 @@ if (prioritySelect) {
 }
 
 if (togglePlayButton) {
-  togglePlayButton.addEventListener("click", () => {
-    if (!state.isInitialized) return;
-    if (state.isPaused) {
-      resumeExperienceLocal();
-    } else {
-      pauseExperienceLocal();
-    }
-  });
+  togglePlayButton.addEventListener("click", togglePlay);
 }
 
 if (seekSlider) {
@@ -675,13 +1302,7 @@ if (seekSlider) {
     updateVisForCurrentTime(val);
   });
   seekSlider.addEventListener("change", (e) => {
-    const val = parseFloat(e.target.value);
-    state.isSeeking = false;
-    state.videoElements.forEach((v) => {
-      if (v) v.currentTime = val;
-    });
-    if (currentTimeLabel) currentTimeLabel.textContent = formatTime(val);
-    updateVisForCurrentTime(val);
+    seekToDriveTime(parseFloat(e.target.value));
   });
 }
 
@@ -699,20 +1320,129 @@ if (viewerElDiv && fovScaleSlider) {
 }
 
 if (chooseFolderBtn && folderInput) {
-  chooseFolderBtn.addEventListener("click", () => {
-    folderInput.click();
+  chooseFolderBtn.addEventListener("click", async () => {
+    if (!isFolderAccessSupported()) {
+      folderInput.click();
+      return;
+    }
+    let handle;
+    try {
+      handle = await pickLibraryFolder();
+    } catch (err) {
+      if (err?.name !== "AbortError") {
+        console.warn("Folder picker failed, falling back to file input", err);
+        folderInput.click();
+      }
+      return;
+    }
+    openLibraryFolder(handle).catch((err) => {
+      console.error(err);
+      setStatus(err.message || "Failed to read folder");
+    });
   });
   folderInput.addEventListener("change", (e) => {
     const files = e.target.files;
     if (!files || files.length === 0) return;
     parseFolderFiles(files);
-    populateEventSelect();
-    if (state.currentEventKey) {
-      applyEventSources(state.currentEventKey);
-    }
   });
 }
 
+if (diagnosticsBtn) {
+  diagnosticsBtn.addEventListener("click", () => openDiagnostics());
+}
+
+if (openZipBtn && zipInput) {
+  openZipBtn.addEventListener("click", () => zipInput.click());
+  zipInput.addEventListener("change", (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+    openZipFiles(files)
+      .catch((err) => {
+        console.error(err);
+        setStatus(err.message || "Failed to read ZIP");
+      })
+      .finally(() => {
+        zipInput.value = "";
+      });
+  });
+}
+
+// Drag & drop: a drive root, an event folder, ZIP archives or a loose set of camera files
+if (dropOverlay) {
+  let dragDepth = 0;
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+  document.addEventListener("dragenter", (e) => {
+    if (!hasFiles(e)) return;
+    dragDepth += 1;
+    dropOverlay.classList.remove("hidden");
+  });
+  document.addEventListener("dragleave", (e) => {
+    if (!hasFiles(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) dropOverlay.classList.add("hidden");
+  });
+  document.addEventListener("dragover", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  });
+  document.addEventListener("drop", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    dropOverlay.classList.add("hidden");
+    handleDrop(e.dataTransfer).catch((err) => {
+      console.error(err);
+      setStatus(err.message || "Failed to read dropped files");
+    });
+  });
+}
+
+if (rescanBtn) {
+  rescanBtn.addEventListener("click", () => {
+    if (!state.libraryHandle) return;
+    openLibraryFolder(state.libraryHandle, { keepCurrent: true }).catch((err) => {
+      console.error(err);
+      setStatus(err.message || "Rescan failed");
+    });
+  });
+}
+
+// Reopen the folder from the previous session, resuming the last event where it left off
+async function restoreStoredFolder() {
+  const handle = await getStoredFolder();
+  if (!handle) return;
+  const resume = loadLastPlayback();
+  if (await ensureFolderPermission(handle)) {
+    await openLibraryFolder(handle, { resume });
+    return;
+  }
+  if (!reopenFolderBtn) return;
+  reopenFolderBtn.textContent = `Reopen ${handle.name}`;
+  reopenFolderBtn.classList.remove("hidden");
+  reopenFolderBtn.onclick = async () => {
+    if (!(await ensureFolderPermission(handle, true))) {
+      setStatus("Folder access was not granted");
+      return;
+    }
+    openLibraryFolder(handle, { resume }).catch((err) => {
+      console.error(err);
+      setStatus(err.message || "Failed to reopen folder");
+    });
+  };
+}
+
+restoreStoredFolder().catch((err) => console.warn("Could not restore library folder", err));
+
+function rememberPlayback() {
+  if (state.isInitialized && state.currentEventKey) {
+    saveLastPlayback(state.currentEventKey, getDriveTime());
+  }
+}
+
+setInterval(rememberPlayback, 5000);
+window.addEventListener("pagehide", rememberPlayback);
+
 if (eventSelect) {
   eventSelect.addEventListener("change", (e) => {
     const key = e.target.value;
@@ -720,13 +1450,82 @@ if (eventSelect) {
   });
 }
 
+if (categoryFilter) {
+  categoryFilter.value = state.categoryFilter;
+  categoryFilter.addEventListener("change", (e) => {
+    setCategoryFilter(e.target.value);
+  });
+}
+
+if (reviewFilter) {
+  rebuildReviewFilterOptions();
+  reviewFilter.addEventListener("change", (e) => {
+    state.reviewFilter = e.target.value;
+    refreshEventFilters();
+  });
+}
+
+if (reviewPanel) {
+  reviewPanel.querySelectorAll(".review-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const event = state.eventMap.get(state.currentEventKey);
+      if (!event) return;
+      setReviewStatus(event, btn.dataset.status);
+      onReviewChanged();
+    });
+  });
+  reviewTags?.addEventListener("change", () => {
+    const event = state.eventMap.get(state.currentEventKey);
+    if (!event) return;
+    setReviewTags(event, parseTags(reviewTags.value));
+    onReviewChanged();
+  });
+  reviewNotes?.addEventListener("change", () => {
+    const event = state.eventMap.get(state.currentEventKey);
+    if (event) setReviewNotes(event, reviewNotes.value);
+  });
+}
+
+if (nextUnreviewedBtn) {
+  nextUnreviewedBtn.addEventListener("click", openNextUnreviewed);
+}
+
 if (calendarToggle) {
   calendarToggle.addEventListener("click", (e) => {
     e.stopPropagation();
+    hideSearchPopover();
     toggleCalendarPopover();
   });
 }
 
+if (searchToggle && searchPopover) {
+  searchToggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    hideCalendarPopover();
+    searchPopover.classList.toggle("hidden");
+  });
+  searchPopover.addEventListener("click", (e) => e.stopPropagation());
+  document.addEventListener("click", () => hideSearchPopover());
+}
+
+if (browseToggle) {
+  browseToggle.addEventListener("click", () => openEventBrowser());
+}
+
+if (calendarTimelineBtn) {
+  calendarTimelineBtn.addEventListener("click", () => {
+    hideCalendarPopover();
+    if (state.calendarSelectedDate) showDayTimeline(state.calendarSelectedDate);
+  });
+}
+
+if (calendarGridBtn) {
+  calendarGridBtn.addEventListener("click", () => {
+    hideCalendarPopover();
+    openEventBrowser(state.calendarSelectedDate);
+  });
+}
+
 if (calendarPopover) {
   calendarPopover.addEventListener("click", (e) => e.stopPropagation());
   document.addEventListener("click", () => hideCalendarPopover());
@@ -773,25 +1572,138 @@ if (exportPresetBtn && presetExportText) {
   });
 }
 
-if (resetViewBtn) {
-  resetViewBtn.addEventListener("click", () => {
-    const domRefs = { fovScaleSlider, fovScaleValue, lockPitchToggle, prioritySelect, updateCamUniforms };
-    if (presetSelect && presetSelect.value !== "custom") {
-      const idx = parseInt(presetSelect.value, 10);
-      if (!Number.isNaN(idx) && state.presets && state.presets[idx]) {
-        applyPreset(state.presets[idx], domRefs);
-        updateCamUniforms();
-        return;
-      }
-    }
+// Re-apply the selected preset (or the default) and face forward again
+function resetView() {
+  const domRefs = {
+    fovScaleSlider,
+    fovScaleValue,
+    lockPitchToggle,
+    prioritySelect,
+    updateCamUniforms,
+    onCamOffsetsChange: applyCamOffsets,
+  };
+  const idx = presetSelect && presetSelect.value !== "custom" ? parseInt(presetSelect.value, 10) : NaN;
+  if (!Number.isNaN(idx) && state.presets && state.presets[idx]) {
+    applyPreset(state.presets[idx], domRefs);
+    updateCamUniforms();
+  } else {
     // Fallback if custom or invalid
     applyPresetByName("Default View", domRefs);
-  });
+  }
+  lookAtCamera(0);
+}
+
+// Next preset from presets.csv, wrapping around (skips "Custom…", which prompts)
+function cyclePreset() {
+  if (!presetSelect || !state.presets?.length) return;
+  const current = parseInt(presetSelect.value, 10);
+  const next = Number.isNaN(current) ? 0 : (current + 1) % state.presets.length;
+  presetSelect.value = String(next);
+  presetSelect.dispatchEvent(new Event("change"));
+  setStatus(`View: ${state.presets[next].name}`);
+}
+
+// What a bookmark keeps of the view: orbit angles, FOV scale and the preset picked in the menu
+function captureView() {
+  const presetIdx = presetSelect ? parseInt(presetSelect.value, 10) : NaN;
+  return {
+    azimuth: state.controls?.getAzimuthalAngle() ?? 0,
+    polar: state.controls?.getPolarAngle() ?? Math.PI / 2,
+    viewYaw: viewYawDeg(),
+    fovScale: state.fovScale,
+    preset: Number.isNaN(presetIdx) ? null : state.presets[presetIdx]?.name || null,
+  };
+}
+
+function restoreView(bookmark) {
+  const presetIdx = bookmark.preset ? state.presets.findIndex((p) => p.name === bookmark.preset) : -1;
+  if (presetSelect && presetIdx >= 0) {
+    presetSelect.value = String(presetIdx);
+    presetSelect.dispatchEvent(new Event("change"));
+  }
+  // After the preset, which carries its own FOV scale
+  if (Number.isFinite(bookmark.fovScale)) setFovScale(bookmark.fovScale);
+  if (Number.isFinite(bookmark.azimuth) && Number.isFinite(bookmark.polar)) setOrbitAngles(bookmark.azimuth, bookmark.polar);
+  if (state.isPaused) renderStill();
+}
+
+// Bookmarks keep the review key, so they survive reopening the footage from another folder or ZIP
+function openBookmark(bookmark) {
+  const key = Array.from(state.eventMap.keys()).find((k) => reviewKey(state.eventMap.get(k)) === bookmark.eventKey);
+  if (!key) {
+    setStatus(`${bookmark.eventLabel || "That event"} isn't in the open library`);
+    return;
+  }
+  if (key === state.currentEventKey && state.isInitialized) {
+    restoreView(bookmark);
+    seekTo(bookmark.time);
+    return;
+  }
+  applyEventSources(key, { startTime: bookmark.time, onStarted: () => restoreView(bookmark) });
+}
+
+function lookAtCamera(idx) {
+  lookAtYaw(state.currentYawDeg[idx] ?? CAMS[idx].yawDeg);
+  if (state.isPaused) renderStill();
+}
+
+// Previous/next event: through the playlist when one runs, otherwise the filtered list
+function stepEvent(step) {
+  if (isPlaylistActive()) {
+    stepPlaylist(step);
+    return;
+  }
+  const keys = visibleEventKeys();
+  const next = keys[keys.indexOf(state.currentEventKey) + step];
+  if (next) selectEvent(next);
+}
+
+if (resetViewBtn) {
+  resetViewBtn.addEventListener("click", resetView);
+}
+
+// Neighbouring cameras whose overlap shows a timing mismatch best
+const SEAM_PAIRS = [
+  ["left_pillar", "left_repeater"],
+  ["right_pillar", "right_repeater"],
+  ["front", "left_pillar"],
+  ["front", "right_pillar"],
+  ["left_repeater", "back"],
+  ["right_repeater", "back"],
+];
+
+function camLabel(id) {
+  const text = id.replace("_", " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Pause and face the middle of the seam between two cameras, then step frames and nudge offsets
+function lookAtSeam(pairIdx) {
+  const pair = SEAM_PAIRS[pairIdx];
+  if (!pair || !state.isInitialized) return;
+  const [a, b] = pair.map((id) => CAMS.findIndex((cam) => cam.id === id));
+  const yawA = state.currentYawDeg[a] ?? CAMS[a].yawDeg;
+  const yawB = state.currentYawDeg[b] ?? CAMS[b].yawDeg;
+  const delta = ((((yawB - yawA) % 360) + 540) % 360) - 180;
+  if (!state.isPaused) pauseExperienceLocal();
+  lookAtYaw(yawA + delta / 2);
+  renderStill();
+  const keys = `${formatBinding(getBinding("frameBack"))} ${formatBinding(getBinding("frameForward"))}`;
+  setStatus(`Seam ${camLabel(pair[0])} | ${camLabel(pair[1])}: step frames (${keys}) and nudge the offsets`);
+}
+
+if (seamSelect) {
+  seamSelect.innerHTML = SEAM_PAIRS.map(([a, b], idx) => `<option value="${idx}">${camLabel(a)} | ${camLabel(b)}</option>`).join("");
+}
+
+if (seamLookBtn) {
+  seamLookBtn.addEventListener("click", () => lookAtSeam(parseInt(seamSelect?.value || "0", 10)));
 }
 
 if (resetCamsBtn) {
   resetCamsBtn.addEventListener("click", () => {
     applyPresetByName("Default View", { camsOnly: true });
+    resetCamOffsets();
   });
 }
 
@@ -813,23 +1725,32 @@ function buildPresetCsv(name = "Custom") {
   CAMS.forEach((cam, idx) => {
     const yaw = (state.currentYawDeg?.[idx] ?? cam.yawDeg ?? 0).toFixed(0);
     const fov = (state.currentFovHDeg?.[idx] ?? cam.fovH ?? 100).toFixed(0);
+    const offset = state.camOffsetMs?.[idx] || 0;
     const enabled = state.enabledFlags?.[idx] ?? true;
     const label = titleCaseId(cam.id);
-    lines.push(`${label},Yaw,${yaw},FOV,${fov},${enabled ? "Enabled" : "Disabled"}`);
+    const offsetField = offset ? `,Offset,${offset.toFixed(0)}` : "";
+    lines.push(`${label},Yaw,${yaw},FOV,${fov}${offsetField},${enabled ? "Enabled" : "Disabled"}`);
   });
   lines.push(`LockPitch,${state.lockPitch ? "true" : "false"}`);
   return lines.join("\n");
 }
 
 // Load presets and apply first
-loadPresets(presetSelect, { fovScaleSlider, fovScaleValue, lockPitchToggle, prioritySelect, updateCamUniforms });
+loadPresets(presetSelect, {
+  fovScaleSlider,
+  fovScaleValue,
+  lockPitchToggle,
+  prioritySelect,
+  updateCamUniforms,
+  onCamOffsetsChange: applyCamOffsets,
+});
 
 // Default collapsed on initial load
 setUiCollapsed(true);
 
 if (ffmpegHelpBtn) {
   ffmpegHelpBtn.addEventListener("click", () => {
-    const evt = eventSelect?.value || "2025-12-05_15-56-45";
+    const evt = state.eventMap.get(eventSelect?.value)?.startPrefix || "2025-12-05_15-56-45";
     const base = "/Volumes/TESLADRIVE/TeslaCam/RecentClips";
     const cmd = [
       `# Offline FFmpeg template (recommended for quality & speed)`,
@@ -880,15 +1801,39 @@ if (ffmpegHelpBtn) {
   });
 }
 
-// Spacebar to toggle play/pause
-document.addEventListener("keydown", (e) => {
-  if (e.code === "Space" && e.target.tagName !== "INPUT" && e.target.tagName !== "TEXTAREA") {
-    e.preventDefault();
-    if (!state.isInitialized) return;
-    if (state.isPaused) {
-      resumeExperienceLocal();
-    } else {
-      pauseExperienceLocal();
-    }
+function togglePlay() {
+  if (!state.isInitialized) return;
+  if (state.isPaused) {
+    resumeExperienceLocal();
+  } else {
+    pauseExperienceLocal();
   }
+}
+
+initKeymap({
+  togglePlay,
+  seekBack: () => seekBy(-1),
+  seekForward: () => seekBy(1),
+  seekBackLong: () => seekBy(-10),
+  seekForwardLong: () => seekBy(10),
+  // Holding K turns J/L into single-frame steps
+  shuttleReverse: () => (isActionHeld("shuttlePause") ? stepFrame(-1) : shuttle(-1)),
+  shuttlePause: () => shuttle(0),
+  shuttleForward: () => (isActionHeld("shuttlePause") ? stepFrame(1) : shuttle(1)),
+  frameBack: () => stepFrame(-1),
+  frameForward: () => stepFrame(1),
+  prevEvent: () => stepEvent(-1),
+  nextEvent: () => stepEvent(1),
+  nextUnreviewed: openNextUnreviewed,
+  loopIn: setLoopIn,
+  loopOut: setLoopOut,
+  loopClear: clearLoop,
+  addBookmark,
+  toggleBookmarks: toggleBookmarkPanel,
+  ...Object.fromEntries(CAMS.map((cam, idx) => [`viewCam${idx}`, () => lookAtCamera(idx)])),
+  resetView,
+  nextPreset: cyclePreset,
+  toggleTelemetry: toggleTelemetryOverlay,
+  toggleUi: () => setUiCollapsed(!state.uiCollapsed),
 });
+keymapBtn?.addEventListener("click", openKeymapHelp);
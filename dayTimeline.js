@@ -0,0 +1,190 @@
+// 24-hour strip for one calendar day: every clip as a block, gaps left empty, zoomable to minutes
+
+import { state } from "./state.js";
+import { CLIP_SECONDS, CATEGORY_LABELS } from "./library.js";
+
+const timelinePanel = document.getElementById("dayTimeline");
+const timelineTitle = document.getElementById("dayTimelineTitle");
+const timelineScroll = document.getElementById("dayTimelineScroll");
+const timelineTrack = document.getElementById("dayTimelineTrack");
+const zoomInBtn = document.getElementById("dayTimelineZoomIn");
+const zoomOutBtn = document.getElementById("dayTimelineZoomOut");
+const closeBtn = document.getElementById("dayTimelineClose");
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_PX_PER_HOUR = 3600; // one pixel per second
+const ZOOM_STEP = 2;
+const MIN_TICK_PX = 70;
+const TICK_MINUTES = [1, 5, 15, 30, 60, 180];
+
+let dateKey = null;
+let dayStartMs = 0;
+let pxPerHour = 0;
+let playheadEl = null;
+let playheadTimer = null;
+let callbacks = { getEventKeys: () => [], onSelect: () => {}, getPlayheadMs: () => null };
+
+export function initDayTimeline(options) {
+  callbacks = { ...callbacks, ...options };
+  if (!timelinePanel) return;
+  closeBtn?.addEventListener("click", hideDayTimeline);
+  zoomInBtn?.addEventListener("click", () => zoomBy(ZOOM_STEP, timelineScroll.clientWidth / 2));
+  zoomOutBtn?.addEventListener("click", () => zoomBy(1 / ZOOM_STEP, timelineScroll.clientWidth / 2));
+  timelineScroll.addEventListener(
+    "wheel",
+    (e) => {
+      // Ctrl/Cmd + wheel (and trackpad pinch) zooms around the pointer; plain wheel scrolls sideways
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        const x = e.clientX - timelineScroll.getBoundingClientRect().left;
+        zoomBy(e.deltaY < 0 ? 1.25 : 0.8, x);
+      } else if (Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
+        e.preventDefault();
+        timelineScroll.scrollLeft += e.deltaY;
+      }
+    },
+    { passive: false }
+  );
+  window.addEventListener("resize", () => {
+    if (isDayTimelineOpen()) setZoom(pxPerHour, 0);
+  });
+}
+
+export function isDayTimelineOpen() {
+  return !!timelinePanel && !timelinePanel.classList.contains("hidden");
+}
+
+/** Show the strip for a YYYY-MM-DD day */
+export function showDayTimeline(key) {
+  if (!timelinePanel || !key) return;
+  const [y, m, d] = key.split("-").map(Number);
+  const changed = key !== dateKey;
+  dateKey = key;
+  dayStartMs = new Date(y, m - 1, d).getTime();
+  timelinePanel.classList.remove("hidden");
+  if (timelineTitle) timelineTitle.textContent = key;
+  if (changed || !pxPerHour) pxPerHour = fitPxPerHour();
+  render();
+  if (changed) scrollToFirstBlock();
+  clearInterval(playheadTimer);
+  playheadTimer = setInterval(updatePlayhead, 500);
+}
+
+export function hideDayTimeline() {
+  timelinePanel?.classList.add("hidden");
+  clearInterval(playheadTimer);
+  playheadTimer = null;
+}
+
+/** Redraw after the library or its filters changed */
+export function refreshDayTimeline() {
+  if (isDayTimelineOpen()) render();
+}
+
+function fitPxPerHour() {
+  return Math.max(1, (timelineScroll?.clientWidth || 960) / 24);
+}
+
+function zoomBy(factor, anchorX) {
+  setZoom(pxPerHour * factor, anchorX);
+}
+
+// Keep the time under anchorX (px from the visible left edge) in place while zooming
+function setZoom(next, anchorX) {
+  const clamped = Math.max(fitPxPerHour(), Math.min(MAX_PX_PER_HOUR, next));
+  const anchorHours = (timelineScroll.scrollLeft + anchorX) / pxPerHour;
+  pxPerHour = clamped;
+  render();
+  timelineScroll.scrollLeft = anchorHours * pxPerHour - anchorX;
+}
+
+function xForMs(ms) {
+  return ((ms - dayStartMs) / HOUR_MS) * pxPerHour;
+}
+
+function formatClock(ms) {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// Clip blocks of every visible event that overlaps this day
+function collectBlocks() {
+  const blocks = [];
+  const dayEndMs = dayStartMs + DAY_MS;
+  for (const key of callbacks.getEventKeys()) {
+    const event = state.eventMap.get(key);
+    if (!event) continue;
+    event.clips.forEach((clip, idx) => {
+      if (clip.startMs === null) return;
+      // A clip runs until the next one starts, capped at Tesla's one minute
+      const next = event.clips[idx + 1];
+      const endMs = Math.min(clip.startMs + CLIP_SECONDS * 1000, next?.startMs ?? Infinity);
+      if (endMs <= dayStartMs || clip.startMs >= dayEndMs) return;
+      blocks.push({ key, event, startMs: clip.startMs, endMs });
+    });
+  }
+  return blocks;
+}
+
+function renderTicks() {
+  const stepMin = TICK_MINUTES.find((min) => (min / 60) * pxPerHour >= MIN_TICK_PX) || 180;
+  const stepMs = stepMin * 60 * 1000;
+  for (let ms = dayStartMs; ms <= dayStartMs + DAY_MS; ms += stepMs) {
+    const tick = document.createElement("div");
+    tick.className = "day-timeline-tick";
+    tick.style.left = `${xForMs(ms)}px`;
+    tick.textContent = formatClock(ms);
+    timelineTrack.appendChild(tick);
+  }
+}
+
+function render() {
+  if (!timelineTrack) return;
+  timelineTrack.innerHTML = "";
+  timelineTrack.style.width = `${24 * pxPerHour}px`;
+  renderTicks();
+
+  const blocks = collectBlocks();
+  blocks.forEach((block) => {
+    const el = document.createElement("button");
+    el.type = "button";
+    el.className = `day-timeline-block category-${block.event.category}`;
+    el.classList.toggle("active", block.key === state.currentEventKey);
+    const left = xForMs(Math.max(block.startMs, dayStartMs));
+    el.style.left = `${left}px`;
+    el.style.width = `${Math.max(2, xForMs(block.endMs) - left)}px`;
+    el.title = `${CATEGORY_LABELS[block.event.category]} · ${formatClock(block.startMs)} · ${block.key}`;
+    el.addEventListener("click", (e) => {
+      const rect = el.getBoundingClientRect();
+      const fraction = rect.width ? (e.clientX - rect.left) / rect.width : 0;
+      const ms = Math.max(block.startMs, dayStartMs) + fraction * (block.endMs - Math.max(block.startMs, dayStartMs));
+      callbacks.onSelect(block.key, ms);
+    });
+    timelineTrack.appendChild(el);
+  });
+  if (!blocks.length) {
+    const empty = document.createElement("div");
+    empty.className = "day-timeline-empty";
+    empty.textContent = "No clips on this day.";
+    timelineTrack.appendChild(empty);
+  }
+
+  playheadEl = document.createElement("div");
+  playheadEl.className = "day-timeline-playhead hidden";
+  timelineTrack.appendChild(playheadEl);
+  updatePlayhead();
+}
+
+function scrollToFirstBlock() {
+  const first = collectBlocks().reduce((min, b) => Math.min(min, b.startMs), Infinity);
+  if (Number.isFinite(first)) timelineScroll.scrollLeft = Math.max(0, xForMs(first) - 40);
+}
+
+function updatePlayhead() {
+  if (!playheadEl) return;
+  const ms = callbacks.getPlayheadMs();
+  const visible = Number.isFinite(ms) && ms >= dayStartMs && ms < dayStartMs + DAY_MS;
+  playheadEl.classList.toggle("hidden", !visible);
+  if (visible) playheadEl.style.left = `${xForMs(ms)}px`;
+}
@@ -0,0 +1,68 @@
+// Minimal promise wrapper around IndexedDB for data that must survive reloads
+
+const DB_NAME = "tesla360";
+const DB_VERSION = 2;
+// Bump DB_VERSION when adding a store; missing stores and indexes are created on upgrade
+const STORES = {
+  handles: {},
+  library: {},
+  eventIndex: { indexes: ["path"] },
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, { indexes = [] }]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name);
+        indexes.forEach((field) => {
+          if (!store.indexNames.contains(field)) store.createIndex(field, field);
+        });
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function idbGet(storeName, key) {
+  return withStore(storeName, "readonly", (store) => store.get(key));
+}
+
+export function idbSet(storeName, key, value) {
+  return withStore(storeName, "readwrite", (store) => store.put(value, key)).then(() => undefined);
+}
+
+export function idbDelete(storeName, key) {
+  return withStore(storeName, "readwrite", (store) => store.delete(key)).then(() => undefined);
+}
+
+/** Keys of the records whose indexed field equals value */
+export function idbKeysByIndex(storeName, indexName, value) {
+  return withStore(storeName, "readonly", (store) => store.index(indexName).getAllKeys(value));
+}
@@ -0,0 +1,174 @@
+// Library diagnostics: missing cameras, unreadable files, duration mismatches, clips without SEI
+// and misnamed files, listed per event.
+
+import { state, CAMS } from "./state.js";
+import { parentPath } from "./library.js";
+import { probeClipFile } from "./eventIndex.js";
+
+const diagnosticsPanel = document.getElementById("diagnosticsPanel");
+const diagnosticsList = document.getElementById("diagnosticsList");
+const diagnosticsSummary = document.getElementById("diagnosticsSummary");
+const diagnosticsCurrentBtn = document.getElementById("diagnosticsCurrentBtn");
+const diagnosticsAllBtn = document.getElementById("diagnosticsAllBtn");
+const diagnosticsClose = document.getElementById("diagnosticsClose");
+
+// Cameras of one clip set may legitimately differ by a frame or two
+const DURATION_TOLERANCE_SEC = 0.5;
+
+let runGeneration = 0;
+let callbacks = { describeEvent: (key) => key, onSelect: () => {} };
+
+export function initDiagnostics(options) {
+  callbacks = { ...callbacks, ...options };
+  if (!diagnosticsPanel) return;
+  diagnosticsClose?.addEventListener("click", closeDiagnostics);
+  diagnosticsPanel.addEventListener("click", (e) => {
+    if (e.target === diagnosticsPanel) closeDiagnostics();
+  });
+  diagnosticsCurrentBtn?.addEventListener("click", () => {
+    if (state.currentEventKey) runDiagnostics([state.currentEventKey]);
+  });
+  diagnosticsAllBtn?.addEventListener("click", () => runDiagnostics(Array.from(state.eventMap.keys())));
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !diagnosticsPanel.classList.contains("hidden")) closeDiagnostics();
+  });
+}
+
+export function openDiagnostics() {
+  if (!diagnosticsPanel) return;
+  diagnosticsPanel.classList.remove("hidden");
+  if (!diagnosticsList.childElementCount) renderLibraryIssues();
+}
+
+export function closeDiagnostics() {
+  diagnosticsPanel?.classList.add("hidden");
+  runGeneration += 1;
+}
+
+async function probeRecord(record) {
+  const file = await record.getFile();
+  if (file.size === 0) return { empty: true };
+  return probeClipFile(file);
+}
+
+function formatSeconds(sec) {
+  return `${sec.toFixed(1)} s`;
+}
+
+// Misnamed files are reported with their event when that folder holds exactly one event
+// (Saved/Sentry folders); in RecentClips they are listed on their own.
+function singleEventFolders() {
+  const counts = new Map();
+  state.eventMap.forEach((event) => counts.set(event.folder, (counts.get(event.folder) || 0) + 1));
+  return new Set(Array.from(counts).filter(([, count]) => count === 1).map(([folder]) => folder));
+}
+
+// Checks that only need the file names
+function namingIssues(event, ownedFolders) {
+  const issues = [];
+  const present = new Set();
+  event.clips.forEach((clip) => Object.keys(clip.cams).forEach((id) => present.add(id)));
+  CAMS.forEach((cam) => {
+    if (!present.has(cam.id)) issues.push(`No ${cam.id} footage in any clip`);
+  });
+  event.clips.forEach((clip) => {
+    const missing = CAMS.filter((cam) => present.has(cam.id) && !clip.cams[cam.id]).map((cam) => cam.id);
+    if (missing.length) issues.push(`${clip.prefix}: missing ${missing.join(", ")}`);
+  });
+  if (!ownedFolders.has(event.folder)) return issues;
+  state.unmatchedFiles
+    .filter((rec) => parentPath(rec.path) === event.folder)
+    .forEach((rec) => issues.push(`${rec.name}: name doesn't match <timestamp>-<camera>.mp4`));
+  return issues;
+}
+
+async function fileIssues(event, generation) {
+  const issues = [];
+  for (const clip of event.clips) {
+    const durations = [];
+    for (const cam of CAMS) {
+      const record = clip.cams[cam.id];
+      if (!record) continue;
+      let result;
+      try {
+        result = await probeRecord(record);
+      } catch (err) {
+        result = { error: err.message || String(err) };
+      }
+      if (generation !== runGeneration) return null;
+      if (result.empty) {
+        issues.push(`${record.name}: zero-byte file`);
+      } else if (result.error) {
+        issues.push(`${record.name}: unreadable (${result.error})`);
+      } else {
+        durations.push({ cam: cam.id, sec: result.durationSec });
+        if (cam.id === "front" && result.seiCount === 0) issues.push(`${clip.prefix}: no SEI telemetry in front clip`);
+      }
+    }
+    if (durations.length > 1) {
+      const secs = durations.map((d) => d.sec);
+      if (Math.max(...secs) - Math.min(...secs) > DURATION_TOLERANCE_SEC) {
+        const detail = durations.map((d) => `${d.cam} ${formatSeconds(d.sec)}`).join(", ");
+        issues.push(`${clip.prefix}: duration mismatch (${detail})`);
+      }
+    }
+  }
+  return issues;
+}
+
+function renderLibraryIssues(ownedFolders = singleEventFolders()) {
+  if (!diagnosticsList) return;
+  diagnosticsList.innerHTML = "";
+  const orphans = state.unmatchedFiles.filter((rec) => !ownedFolders.has(parentPath(rec.path)));
+  if (orphans.length) {
+    appendGroup("Unrecognised video files", null, orphans.map((rec) => rec.path));
+  }
+  if (diagnosticsSummary && !state.eventMap.size) diagnosticsSummary.textContent = "No library loaded.";
+}
+
+function appendGroup(title, eventKey, issues) {
+  const row = document.createElement("div");
+  row.className = "event-row diagnostics-row";
+  const labelEl = document.createElement("div");
+  labelEl.textContent = title;
+  row.appendChild(labelEl);
+  const list = document.createElement("ul");
+  list.className = "diagnostics-issues";
+  issues.forEach((text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  row.appendChild(list);
+  if (eventKey) {
+    row.title = eventKey;
+    row.addEventListener("click", () => {
+      closeDiagnostics();
+      callbacks.onSelect(eventKey);
+    });
+  }
+  diagnosticsList.appendChild(row);
+}
+
+/** Check the given events one file at a time; starting again cancels the previous run */
+export async function runDiagnostics(keys) {
+  const generation = ++runGeneration;
+  const ownedFolders = singleEventFolders();
+  renderLibraryIssues(ownedFolders);
+  let withIssues = 0;
+  for (let i = 0; i < keys.length; i++) {
+    const event = state.eventMap.get(keys[i]);
+    if (!event) continue;
+    if (diagnosticsSummary) diagnosticsSummary.textContent = `Checking ${i + 1}/${keys.length}…`;
+    const probed = await fileIssues(event, generation);
+    if (probed === null) return;
+    const issues = namingIssues(event, ownedFolders).concat(probed);
+    if (issues.length) {
+      withIssues += 1;
+      appendGroup(callbacks.describeEvent(keys[i]), keys[i], issues);
+    }
+  }
+  if (diagnosticsSummary) {
+    diagnosticsSummary.textContent = `${keys.length} event${keys.length === 1 ? "" : "s"} checked, ${withIssues} with problems`;
+  }
+}
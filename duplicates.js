@@ -0,0 +1,129 @@
+// Duplicate detection: the same minute stored in RecentClips and again in SavedClips/SentryClips
+
+import { state, CAMS } from "./state.js";
+import { CATEGORY_LABELS } from "./library.js";
+import { probeClipFile } from "./eventIndex.js";
+
+// Which copy stays in the list: Saved/Sentry carry event.json, so they win over RecentClips
+const CATEGORY_PRIORITY = { SavedClips: 0, SentryClips: 1, RecentClips: 2, Other: 3 };
+
+// event key -> Map(clip prefix -> Set of other event keys holding the same clip)
+let clipDuplicates = new Map();
+let runGeneration = 0;
+
+function outranks(a, b) {
+  const pa = CATEGORY_PRIORITY[a.category] ?? 9;
+  const pb = CATEGORY_PRIORITY[b.category] ?? 9;
+  return pa !== pb ? pa < pb : a.key < b.key;
+}
+
+// Compare the first camera both clip sets have
+function comparableRecords(clipA, clipB) {
+  const cam = CAMS.find((c) => clipA.cams[c.id] && clipB.cams[c.id]);
+  return cam ? [clipA.cams[cam.id], clipB.cams[cam.id]] : null;
+}
+
+/**
+ * Same timestamp is only a candidate. A copy also has the same size and modification time, and the
+ * same first SEI frameSeqNo, which the car increments continuously and copies never change; two
+ * different clips of equal length can match on size alone, so all three must agree.
+ */
+async function isSameClip(clipA, clipB) {
+  const records = comparableRecords(clipA, clipB);
+  if (!records) return false;
+  const [fileA, fileB] = await Promise.all(records.map((rec) => rec.getFile()));
+  if (fileA.size !== fileB.size || fileA.lastModified !== fileB.lastModified) return false;
+  try {
+    const [probeA, probeB] = await Promise.all([probeClipFile(fileA), probeClipFile(fileB)]);
+    return probeA.firstFrameSeqNo !== null && probeA.firstFrameSeqNo === probeB.firstFrameSeqNo;
+  } catch {
+    return false;
+  }
+}
+
+function addDuplicate(key, prefix, otherKey) {
+  if (!clipDuplicates.has(key)) clipDuplicates.set(key, new Map());
+  const byPrefix = clipDuplicates.get(key);
+  if (!byPrefix.has(prefix)) byPrefix.set(prefix, new Set());
+  byPrefix.get(prefix).add(otherKey);
+}
+
+/**
+ * Find clips that exist in more than one event. Runs in the background; a new run (library
+ * reload) abandons the previous one.
+ * @param {Map<string, Object>} eventMap
+ * @param {{ onChange?: Function }} options
+ */
+export async function startDuplicateDetection(eventMap, options = {}) {
+  const generation = ++runGeneration;
+  clipDuplicates = new Map();
+
+  // prefix -> [{ key, clip }] across events
+  const byPrefix = new Map();
+  eventMap.forEach((event, key) => {
+    event.clips.forEach((clip) => {
+      if (!byPrefix.has(clip.prefix)) byPrefix.set(clip.prefix, []);
+      byPrefix.get(clip.prefix).push({ key, clip });
+    });
+  });
+
+  let found = 0;
+  for (const [prefix, entries] of byPrefix) {
+    if (entries.length < 2) continue;
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i];
+        const b = entries[j];
+        if (a.key === b.key) continue;
+        let same = false;
+        try {
+          same = await isSameClip(a.clip, b.clip);
+        } catch (err) {
+          console.warn("Duplicate check failed for", prefix, err);
+        }
+        if (generation !== runGeneration) return;
+        if (!same) continue;
+        addDuplicate(a.key, prefix, b.key);
+        addDuplicate(b.key, prefix, a.key);
+        found += 1;
+      }
+    }
+  }
+  if (found) options.onChange?.();
+}
+
+/** Every other event that holds at least one of this event's clips */
+export function getDuplicateLocations(key) {
+  const byPrefix = clipDuplicates.get(key);
+  if (!byPrefix) return [];
+  const keys = new Set();
+  byPrefix.forEach((others) => others.forEach((k) => keys.add(k)));
+  return Array.from(keys).sort();
+}
+
+/** "Recent 2025-01-02_10-00-00, Sentry 2025-01-02_10-05-12" */
+export function describeDuplicateLocations(key) {
+  return getDuplicateLocations(key)
+    .map((k) => state.eventMap.get(k))
+    .filter(Boolean)
+    .map((event) => `${CATEGORY_LABELS[event.category]} ${event.startPrefix}`)
+    .join(", ");
+}
+
+/**
+ * An event collapses into its copies when every clip also exists in a higher-priority event that
+ * is currently listed (isListed), so filtering to RecentClips alone still shows Recent drives.
+ */
+export function isCollapsedDuplicate(key, isListed) {
+  const event = state.eventMap.get(key);
+  const byPrefix = clipDuplicates.get(key);
+  if (!event || !byPrefix) return false;
+  return event.clips.every((clip) => {
+    const others = byPrefix.get(clip.prefix);
+    if (!others) return false;
+    return Array.from(others).some((k) => {
+      const other = state.eventMap.get(k);
+      return other && outranks(other, event) && isListed(k);
+    });
+  });
+}
@@ -0,0 +1,251 @@
+// Thumbnail grid for picking events (Tesla's thumb.png or the front clip's first keyframe)
+
+import { state } from "./state.js";
+import { CATEGORY_LABELS, estimateEventDuration, formatEventReason } from "./library.js";
+import { getEventSummary } from "./eventIndex.js";
+import { getReview } from "./reviewState.js";
+import { describeDuplicateLocations } from "./duplicates.js";
+
+const browserPanel = document.getElementById("eventBrowser");
+const browserGrid = document.getElementById("eventBrowserGrid");
+const browserTitle = document.getElementById("eventBrowserTitle");
+const browserAllDates = document.getElementById("eventBrowserAllDates");
+const browserClose = document.getElementById("eventBrowserClose");
+const browserSort = document.getElementById("eventBrowserSort");
+
+const THUMB_WIDTH = 320;
+const MPS_TO_MPH = 2.23694;
+const METERS_PER_MILE = 1609.34;
+
+// event key -> object URL (or null when no thumbnail could be made)
+const thumbCache = new Map();
+const thumbQueue = [];
+let thumbWorkerRunning = false;
+let observer = null;
+let dateFilter = null;
+let callbacks = { getEventKeys: () => [], onSelect: () => {} };
+
+export function initEventBrowser(options) {
+  callbacks = { ...callbacks, ...options };
+  if (!browserPanel) return;
+  browserClose?.addEventListener("click", closeEventBrowser);
+  browserAllDates?.addEventListener("click", () => openEventBrowser(null));
+  browserSort?.addEventListener("change", () => renderGrid());
+  browserPanel.addEventListener("click", (e) => {
+    if (e.target === browserPanel) closeEventBrowser();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && isEventBrowserOpen()) closeEventBrowser();
+  });
+}
+
+export function isEventBrowserOpen() {
+  return !!browserPanel && !browserPanel.classList.contains("hidden");
+}
+
+/** Show the grid, optionally limited to one calendar day (YYYY-MM-DD) */
+export function openEventBrowser(dateKey = null) {
+  if (!browserPanel) return;
+  dateFilter = dateKey;
+  browserPanel.classList.remove("hidden");
+  renderGrid();
+}
+
+export function closeEventBrowser() {
+  browserPanel?.classList.add("hidden");
+  observer?.disconnect();
+  thumbQueue.length = 0;
+}
+
+/** Fill in a tile's telemetry line once the indexer has reached its event */
+export function updateEventTileSummary(key) {
+  if (!isEventBrowserOpen()) return;
+  const tile = Array.from(browserGrid.children).find((el) => el.dataset.eventKey === key);
+  const stats = tile?.querySelector(".tile-stats");
+  if (stats) stats.textContent = formatSummary(getEventSummary(key));
+}
+
+/** Drop cached thumbnails, e.g. after a different folder was loaded */
+export function resetEventThumbnails() {
+  thumbCache.forEach((url) => url && URL.revokeObjectURL(url));
+  thumbCache.clear();
+  thumbQueue.length = 0;
+}
+
+function formatDuration(seconds) {
+  const mins = Math.round(seconds / 60);
+  return mins >= 1 ? `~${mins} min` : `${Math.round(seconds)} s`;
+}
+
+function formatSummary(summary) {
+  if (!summary) return "";
+  if (!summary.seiFrames) return "No telemetry";
+  const parts = [
+    `${Math.round(summary.maxSpeedMps * MPS_TO_MPH)} mph max`,
+    `${(summary.distanceM / METERS_PER_MILE).toFixed(1)} mi`,
+  ];
+  if (summary.autopilotSec >= 1) parts.push(`AP ${formatDuration(summary.autopilotSec)}`);
+  if (summary.hardBrakeCount) parts.push(`${summary.hardBrakeCount} hard brake${summary.hardBrakeCount === 1 ? "" : "s"}`);
+  return parts.join(" · ");
+}
+
+// Keys in the chosen order; events the indexer hasn't reached yet go last
+function sortKeys(keys) {
+  const field = browserSort?.value || "time";
+  if (field === "time") return keys;
+  return keys
+    .map((key, idx) => ({ key, idx, value: getEventSummary(key)?.[field] }))
+    .sort((a, b) => (b.value ?? -1) - (a.value ?? -1) || a.idx - b.idx)
+    .map(({ key }) => key);
+}
+
+function renderGrid() {
+  if (!browserGrid) return;
+  observer?.disconnect();
+  thumbQueue.length = 0;
+  browserGrid.innerHTML = "";
+
+  const keys = sortKeys(
+    callbacks.getEventKeys().filter((key) => !dateFilter || state.eventMap.get(key)?.dateKey === dateFilter)
+  );
+  if (browserTitle) browserTitle.textContent = dateFilter ? `Events on ${dateFilter}` : "All events";
+  browserAllDates?.classList.toggle("hidden", !dateFilter);
+  if (!keys.length) {
+    browserGrid.textContent = state.eventMap.size ? "No events match." : "No events loaded.";
+    return;
+  }
+
+  observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        requestThumbnail(entry.target.dataset.eventKey, entry.target.querySelector(".tile-thumb"));
+      });
+    },
+    { root: browserGrid, rootMargin: "200px" }
+  );
+
+  keys.forEach((key) => {
+    const event = state.eventMap.get(key);
+    const tile = document.createElement("button");
+    tile.type = "button";
+    tile.className = "event-tile";
+    tile.classList.toggle("active", key === state.currentEventKey);
+    tile.classList.add(`review-${getReview(event).status}`);
+    tile.dataset.eventKey = key;
+    const locations = describeDuplicateLocations(key);
+    tile.title = locations ? `${key}\nAlso in ${locations}` : key;
+
+    const thumb = document.createElement("div");
+    thumb.className = "tile-thumb";
+    const badge = document.createElement("span");
+    badge.className = `tile-badge category-${event.category}`;
+    badge.textContent = CATEGORY_LABELS[event.category];
+    thumb.appendChild(badge);
+
+    const time = document.createElement("div");
+    time.className = "tile-time";
+    const [datePart, timePart] = event.startPrefix.split("_");
+    time.textContent = `${dateFilter ? "" : `${datePart} `}${(timePart || "").replace(/-/g, ":")}`;
+
+    const details = document.createElement("div");
+    details.className = "tile-details";
+    const reason = event.meta ? formatEventReason(event.meta.reason) : "";
+    details.textContent = [reason, formatDuration(estimateEventDuration(event))].filter(Boolean).join(" · ");
+
+    const stats = document.createElement("div");
+    stats.className = "tile-stats";
+    stats.textContent = formatSummary(getEventSummary(key));
+
+    tile.append(thumb, time, details, stats);
+    tile.addEventListener("click", () => {
+      closeEventBrowser();
+      callbacks.onSelect(key);
+    });
+    browserGrid.appendChild(tile);
+    observer.observe(tile);
+  });
+}
+
+function showThumbnail(el, url) {
+  if (!el) return;
+  if (url) {
+    el.style.backgroundImage = `url("${url}")`;
+  } else {
+    el.classList.add("no-thumb");
+  }
+}
+
+function requestThumbnail(key, el) {
+  if (thumbCache.has(key)) {
+    showThumbnail(el, thumbCache.get(key));
+    return;
+  }
+  thumbQueue.push({ key, el });
+  if (!thumbWorkerRunning) drainThumbQueue();
+}
+
+// Thumbnails are built one at a time; decoding several front clips at once stalls playback
+async function drainThumbQueue() {
+  thumbWorkerRunning = true;
+  while (thumbQueue.length) {
+    const { key, el } = thumbQueue.shift();
+    if (!thumbCache.has(key)) {
+      const event = state.eventMap.get(key);
+      let url = null;
+      try {
+        url = event ? await buildThumbnail(event) : null;
+      } catch (err) {
+        console.warn("Thumbnail failed for", key, err);
+      }
+      thumbCache.set(key, url);
+    }
+    showThumbnail(el, thumbCache.get(key));
+  }
+  thumbWorkerRunning = false;
+}
+
+async function buildThumbnail(event) {
+  if (event.thumb) {
+    return URL.createObjectURL(await event.thumb.getFile());
+  }
+  const front = event.clips[0]?.cams.front;
+  if (!front || typeof VideoDecoder === "undefined") return null;
+  const canvas = await decodeFirstKeyframe(await front.getFile());
+  if (!canvas) return null;
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
+  return blob ? URL.createObjectURL(blob) : null;
+}
+
+// Reads moov and the first keyframe's bytes only, not the clip
+async function decodeFirstKeyframe(file) {
+  const mp4 = await window.DashcamMP4.fromBlob(file);
+  const config = mp4.getConfig();
+  const keyIndex = mp4.getSamples().findIndex((sample) => sample.keyframe);
+  if (keyIndex < 0) return null;
+  const [keyframe] = await mp4.readSamples(keyIndex, keyIndex + 1);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = THUMB_WIDTH;
+  canvas.height = Math.round((THUMB_WIDTH * config.height) / config.width);
+  const ctx = canvas.getContext("2d");
+
+  let drawn = false;
+  const decoder = new VideoDecoder({
+    output: (frame) => {
+      ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+      frame.close();
+      drawn = true;
+    },
+    error: (err) => console.warn("Thumbnail decode error", err),
+  });
+  try {
+    decoder.configure({ codec: config.codec, width: config.width, height: config.height });
+    decoder.decode(new EncodedVideoChunk({ type: "key", timestamp: 0, data: keyframe }));
+    await decoder.flush();
+  } finally {
+    if (decoder.state !== "closed") decoder.close();
+  }
+  return drawn ? canvas : null;
+}
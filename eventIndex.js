@@ -0,0 +1,184 @@
+// Event index: per-clip telemetry summaries built in the background and cached in IndexedDB
+
+import { idbGet, idbSet, idbDelete, idbKeysByIndex } from "./db.js";
+import { CLIP_SECONDS } from "./library.js";
+
+// Bump when the summary shape changes so cached entries are rebuilt
+const INDEX_VERSION = 2;
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// file index key -> clip summary, event key -> aggregated summary
+const clipSummaries = new Map();
+const eventSummaries = new Map();
+
+let runGeneration = 0;
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker("indexWorker.js");
+  worker.onmessage = (e) => {
+    const pending = pendingRequests.get(e.data.id);
+    if (!pending) return;
+    pendingRequests.delete(e.data.id);
+    if (e.data.error) pending.reject(new Error(e.data.error));
+    else pending.resolve(e.data.result);
+  };
+  worker.onerror = (e) => {
+    console.error("Index worker failed", e.message);
+    pendingRequests.forEach(({ reject }) => reject(new Error("Index worker failed")));
+    pendingRequests.clear();
+    worker = null;
+  };
+  return worker;
+}
+
+function runInWorker(task, file) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, task, file });
+  });
+}
+
+// file index key -> probe promise (failures included, so broken files aren't re-read)
+const probes = new Map();
+
+/**
+ * Parse a clip's container and read its SEI messages off the main thread.
+ * Rejects with the parser's error for truncated or otherwise unreadable files.
+ * @returns {Promise<{ durationSec, frameCount, width, height, seiCount, firstFrameSeqNo }>}
+ */
+export function probeClipFile(file) {
+  const key = fileIndexKey(file);
+  if (!probes.has(key)) probes.set(key, runInWorker("probe", file));
+  return probes.get(key);
+}
+
+/**
+ * Media time and SEI frameSeqNo of every frame in a clip (frames without SEI are left out).
+ * @returns {Promise<{ times: number[], seqs: number[] }>}
+ */
+export function readFrameSequence(file) {
+  return runInWorker("sequence", file);
+}
+
+// Name, size and mtime together identify a file version; any change invalidates its entry
+function fileIndexKey(file) {
+  return `${file.name}|${file.size}|${file.lastModified}`;
+}
+
+async function readCachedSummary(key) {
+  try {
+    const entry = await idbGet("eventIndex", key);
+    return entry?.version === INDEX_VERSION ? entry.summary : null;
+  } catch {
+    return null;
+  }
+}
+
+async function storeSummary(key, path, summary) {
+  try {
+    // Drop entries left behind by earlier versions of the same file
+    const stale = await idbKeysByIndex("eventIndex", "path", path);
+    await Promise.all(stale.filter((k) => k !== key).map((k) => idbDelete("eventIndex", k)));
+    await idbSet("eventIndex", key, { version: INDEX_VERSION, path, summary });
+  } catch (err) {
+    console.warn("Could not cache index entry", err);
+  }
+}
+
+async function indexClip(record) {
+  const file = await record.getFile();
+  const key = fileIndexKey(file);
+  if (clipSummaries.has(key)) return clipSummaries.get(key);
+  let summary = await readCachedSummary(key);
+  if (!summary) {
+    summary = await runInWorker("summarize", file);
+    await storeSummary(key, record.path, summary);
+  }
+  clipSummaries.set(key, summary);
+  return summary;
+}
+
+function mergeBoxes(a, b) {
+  if (!a) return b ? { ...b } : null;
+  if (!b) return a;
+  return {
+    minLat: Math.min(a.minLat, b.minLat),
+    maxLat: Math.max(a.maxLat, b.maxLat),
+    minLon: Math.min(a.minLon, b.minLon),
+    maxLon: Math.max(a.maxLon, b.maxLon),
+  };
+}
+
+// parts: [{ summary, offset }] with offset = clip start on the event's drive timeline
+function aggregate(parts) {
+  return parts.reduce(
+    (acc, { summary: s, offset }) => ({
+      durationSec: acc.durationSec + s.durationSec,
+      seiFrames: acc.seiFrames + s.seiFrames,
+      maxSpeedMps: Math.max(acc.maxSpeedMps, s.maxSpeedMps),
+      distanceM: acc.distanceM + s.distanceM,
+      autopilotSec: acc.autopilotSec + s.autopilotSec,
+      hardBrakeCount: acc.hardBrakeCount + s.hardBrakeCount,
+      bbox: mergeBoxes(acc.bbox, s.bbox),
+      samples: acc.samples.concat((s.samples || []).map((sample) => ({ ...sample, t: sample.t + offset }))),
+    }),
+    { durationSec: 0, seiFrames: 0, maxSpeedMps: 0, distanceM: 0, autopilotSec: 0, hardBrakeCount: 0, bbox: null, samples: [] }
+  );
+}
+
+export function getEventSummary(key) {
+  return eventSummaries.get(key) || null;
+}
+
+/**
+ * Index every event's front clips, one file at a time.
+ * Restarting (e.g. after a rescan) abandons the previous run; clips already indexed are reused.
+ * @param {Map<string, Object>} eventMap
+ * @param {{ onProgress?: Function, onEventIndexed?: Function, priorityKey?: string }} options
+ */
+export async function startEventIndexing(eventMap, options = {}) {
+  const generation = ++runGeneration;
+  const keys = Array.from(eventMap.keys());
+  if (options.priorityKey && eventMap.has(options.priorityKey)) {
+    keys.splice(keys.indexOf(options.priorityKey), 1);
+    keys.unshift(options.priorityKey);
+  }
+
+  eventSummaries.clear();
+  let done = 0;
+  options.onProgress?.(done, keys.length);
+  for (const key of keys) {
+    const event = eventMap.get(key);
+    const parts = [];
+    // Clips without a readable front camera still take up (about) a minute of the drive
+    let offset = 0;
+    for (const clip of event.clips) {
+      let summary = null;
+      if (clip.cams.front) {
+        try {
+          summary = await indexClip(clip.cams.front);
+          parts.push({ summary, offset });
+        } catch (err) {
+          console.warn("Index: failed to parse", clip.cams.front.path, err);
+        }
+        if (generation !== runGeneration) return;
+      }
+      offset += summary?.durationSec || CLIP_SECONDS;
+    }
+    if (parts.length) {
+      eventSummaries.set(key, aggregate(parts));
+      options.onEventIndexed?.(key, eventSummaries.get(key));
+    }
+    done += 1;
+    options.onProgress?.(done, keys.length);
+  }
+}
+
+export function stopEventIndexing() {
+  runGeneration += 1;
+}
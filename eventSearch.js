@@ -0,0 +1,224 @@
+// Telemetry search: filters the event library by conditions on the indexed SEI timeline
+
+import { state } from "./state.js";
+import { getEventSummary } from "./eventIndex.js";
+
+const searchForm = document.getElementById("searchForm");
+const searchClear = document.getElementById("searchClear");
+const searchSummary = document.getElementById("searchSummary");
+const searchResults = document.getElementById("searchResults");
+
+const MPH_TO_MPS = 0.44704;
+const SAMPLE_SEC = 0.5; // matches the indexer's sample interval
+const MAX_RANGE_CHIPS = 8;
+
+// null while no search is active, otherwise event key -> [{ start, end }]
+let matches = null;
+let activeQuery = null;
+let renderTimer = null;
+let callbacks = {
+  describeEvent: (key) => key,
+  onSelect: () => {},
+  onResultsChange: () => {},
+};
+
+export function initEventSearch(options) {
+  callbacks = { ...callbacks, ...options };
+  if (!searchForm) return;
+  searchForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    activeQuery = readQuery();
+    rerunSearch();
+  });
+  searchClear?.addEventListener("click", () => {
+    searchForm.reset();
+    clearSearch();
+  });
+}
+
+/** Matching events while a search is active, else null */
+export function getSearchMatches() {
+  return matches;
+}
+
+export function getMatchRanges(key) {
+  return matches?.get(key) || [];
+}
+
+export function clearSearch() {
+  activeQuery = null;
+  matches = null;
+  renderResults();
+  callbacks.onResultsChange();
+}
+
+/** Evaluate the active query against every indexed event (e.g. after the library changed) */
+export function rerunSearch() {
+  if (!activeQuery) return;
+  matches = new Map();
+  state.eventMap.forEach((event, key) => evaluateEvent(key));
+  scheduleRender();
+}
+
+/** Called as the indexer finishes each event so results fill in while it runs */
+export function updateSearchForEvent(key) {
+  if (!activeQuery || !matches) return;
+  evaluateEvent(key);
+  scheduleRender();
+}
+
+function readNumber(id) {
+  const value = parseFloat(document.getElementById(id)?.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+function readValue(id) {
+  return document.getElementById(id)?.value || "";
+}
+
+function readQuery() {
+  const minMph = readNumber("searchSpeedMin");
+  const maxMph = readNumber("searchSpeedMax");
+  const decel = readNumber("searchDecel");
+  return {
+    minSpeed: minMph === null ? null : minMph * MPH_TO_MPS,
+    maxSpeed: maxMph === null ? null : maxMph * MPH_TO_MPS,
+    gear: readValue("searchGear"),
+    autopilot: readValue("searchAutopilot"),
+    brake: readValue("searchBrake"),
+    blinker: readValue("searchBlinker"),
+    minDecel: decel === null ? null : Math.abs(decel),
+    dateFrom: readValue("searchDateFrom"),
+    dateTo: readValue("searchDateTo"),
+    bbox: {
+      minLat: readNumber("searchLatMin"),
+      maxLat: readNumber("searchLatMax"),
+      minLon: readNumber("searchLonMin"),
+      maxLon: readNumber("searchLonMax"),
+    },
+  };
+}
+
+function inRange(value, min, max) {
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+function sampleMatches(sample, q) {
+  if (!inRange(sample.speed, q.minSpeed, q.maxSpeed)) return false;
+  if (q.gear !== "" && sample.gear !== Number(q.gear)) return false;
+  if (q.autopilot === "engaged" && !sample.ap) return false;
+  if (q.autopilot !== "" && q.autopilot !== "engaged" && sample.ap !== Number(q.autopilot)) return false;
+  if (q.brake === "on" && !sample.brake) return false;
+  if (q.brake === "off" && sample.brake) return false;
+  if (q.blinker === "left" && !sample.left) return false;
+  if (q.blinker === "right" && !sample.right) return false;
+  if (q.blinker === "either" && !sample.left && !sample.right) return false;
+  if (q.blinker === "none" && (sample.left || sample.right)) return false;
+  if (q.minDecel !== null && -sample.accY < q.minDecel) return false;
+  const { minLat, maxLat, minLon, maxLon } = q.bbox;
+  if (minLat !== null || maxLat !== null || minLon !== null || maxLon !== null) {
+    if (sample.lat === null || sample.lon === null) return false;
+    if (!inRange(sample.lat, minLat, maxLat) || !inRange(sample.lon, minLon, maxLon)) return false;
+  }
+  return true;
+}
+
+// Consecutive matching samples become one range on the drive timeline
+function matchingRanges(samples, q) {
+  const ranges = [];
+  let current = null;
+  samples.forEach((sample) => {
+    if (!sampleMatches(sample, q)) return;
+    if (current && sample.t - current.end <= SAMPLE_SEC) {
+      current.end = sample.t + SAMPLE_SEC;
+    } else {
+      current = { start: sample.t, end: sample.t + SAMPLE_SEC };
+      ranges.push(current);
+    }
+  });
+  return ranges;
+}
+
+function evaluateEvent(key) {
+  const event = state.eventMap.get(key);
+  const summary = getEventSummary(key);
+  matches.delete(key);
+  if (!event || !summary?.samples?.length) return;
+  const q = activeQuery;
+  if (q.dateFrom && (!event.dateKey || event.dateKey < q.dateFrom)) return;
+  if (q.dateTo && (!event.dateKey || event.dateKey > q.dateTo)) return;
+  if (q.minSpeed !== null && summary.maxSpeedMps < q.minSpeed) return;
+  const ranges = matchingRanges(summary.samples, q);
+  if (ranges.length) matches.set(key, ranges);
+}
+
+// Indexing can report many events per second; batch the list and library refreshes
+function scheduleRender() {
+  if (renderTimer) return;
+  renderTimer = setTimeout(() => {
+    renderTimer = null;
+    renderResults();
+    callbacks.onResultsChange();
+  }, 250);
+}
+
+function formatClock(t) {
+  const m = Math.floor(t / 60);
+  const s = Math.floor(t % 60);
+  return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+}
+
+function renderResults() {
+  if (!searchResults) return;
+  searchResults.innerHTML = "";
+  if (!matches) {
+    if (searchSummary) searchSummary.textContent = "";
+    return;
+  }
+  let indexed = 0;
+  state.eventMap.forEach((event, key) => {
+    if (getEventSummary(key)) indexed += 1;
+  });
+  if (searchSummary) {
+    const pending = state.eventMap.size - indexed;
+    searchSummary.textContent = `${matches.size} matching event${matches.size === 1 ? "" : "s"}${
+      pending > 0 ? ` (${pending} not indexed yet)` : ""
+    }`;
+  }
+
+  const keys = Array.from(matches.keys()).sort();
+  if (!keys.length) {
+    searchResults.textContent = "No matches.";
+    return;
+  }
+  keys.forEach((key) => {
+    const ranges = matches.get(key);
+    const row = document.createElement("div");
+    row.className = "event-row";
+    row.title = key;
+    const labelEl = document.createElement("div");
+    labelEl.textContent = callbacks.describeEvent(key);
+    const rangesEl = document.createElement("div");
+    rangesEl.className = "search-ranges";
+    ranges.slice(0, MAX_RANGE_CHIPS).forEach((range) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "search-range";
+      chip.textContent = `${formatClock(range.start)}–${formatClock(range.end)}`;
+      chip.addEventListener("click", (e) => {
+        e.stopPropagation();
+        callbacks.onSelect(key, range.start);
+      });
+      rangesEl.appendChild(chip);
+    });
+    if (ranges.length > MAX_RANGE_CHIPS) {
+      const more = document.createElement("span");
+      more.className = "time";
+      more.textContent = `+${ranges.length - MAX_RANGE_CHIPS} more`;
+      rangesEl.appendChild(more);
+    }
+    row.append(labelEl, rangesEl);
+    row.addEventListener("click", () => callbacks.onSelect(key, ranges[0].start));
+    searchResults.appendChild(row);
+  });
+}
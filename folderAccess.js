@@ -0,0 +1,174 @@
+// Persistent TeslaCam folder via the File System Access API
+// The directory handle lives in IndexedDB so the library can be reopened without re-picking it.
+
+import { idbGet, idbSet, idbDelete } from "./db.js";
+
+const HANDLE_KEY = "teslacamRoot";
+// Name, size and mtime of every file the last scan found, stored next to the handle
+const MANIFEST_KEY = "teslacamManifest";
+const META_CACHE_KEY = "eventMeta";
+const LAST_PLAYBACK_KEY = "tesla360.lastPlayback";
+
+const LIBRARY_FILE = /\.(mp4|json|png)$/i;
+
+// path -> record from the previous scan, so a rescan only creates records for new files
+let knownRecords = new Map();
+
+export function isFolderAccessSupported() {
+  return typeof window.showDirectoryPicker === "function";
+}
+
+/** Ask the user for the TeslaCam folder and remember it */
+export async function pickLibraryFolder() {
+  const handle = await window.showDirectoryPicker({ id: "teslacam", mode: "read" });
+  knownRecords = new Map();
+  try {
+    await idbSet("handles", HANDLE_KEY, handle);
+    await idbDelete("handles", MANIFEST_KEY);
+  } catch (err) {
+    console.warn("Could not remember folder", err);
+  }
+  return handle;
+}
+
+export async function getStoredFolder() {
+  if (!isFolderAccessSupported()) return null;
+  try {
+    return (await idbGet("handles", HANDLE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function forgetStoredFolder() {
+  knownRecords = new Map();
+  await idbDelete("handles", HANDLE_KEY).catch(() => {});
+  await idbDelete("handles", MANIFEST_KEY).catch(() => {});
+}
+
+/**
+ * Check read permission on a stored handle.
+ * requestPermission needs a user gesture, so only pass request=true from a click handler.
+ */
+export async function ensureFolderPermission(handle, request = false) {
+  const opts = { mode: "read" };
+  if ((await handle.queryPermission(opts)) === "granted") return true;
+  if (!request) return false;
+  return (await handle.requestPermission(opts)) === "granted";
+}
+
+function recordFromHandle(fileHandle, path, size, lastModified) {
+  const record = {
+    name: fileHandle.name,
+    path,
+    size,
+    lastModified,
+    getFile: async () => {
+      const file = await fileHandle.getFile();
+      // Known paths are taken from the manifest unread; a file that changed since shows up here
+      record.size = file.size;
+      record.lastModified = file.lastModified;
+      return file;
+    },
+  };
+  return record;
+}
+
+// path -> [size, lastModified] from the last scan of this folder (empty for another folder)
+async function loadManifest(rootHandle) {
+  try {
+    const manifest = await idbGet("handles", MANIFEST_KEY);
+    return new Map(manifest?.root === rootHandle.name ? Object.entries(manifest.files) : []);
+  } catch {
+    return new Map();
+  }
+}
+
+async function saveManifest(rootHandle, records) {
+  const files = {};
+  records.forEach((record) => {
+    files[record.path] = [record.size, record.lastModified];
+  });
+  try {
+    await idbSet("handles", MANIFEST_KEY, { root: rootHandle.name, files });
+  } catch (err) {
+    console.warn("Could not remember folder contents", err);
+  }
+}
+
+/**
+ * Walk the folder and return library file records.
+ * Paths are rooted at the folder name, matching what webkitRelativePath gives the folder picker.
+ * Only files missing from the stored manifest are opened (getFile) to read their size and mtime;
+ * the car never rewrites a finished clip, so a known path keeps its manifest entry.
+ */
+export async function scanLibraryFolder(rootHandle, onProgress) {
+  const records = [];
+  const nextKnown = new Map();
+  const manifest = await loadManifest(rootHandle);
+  let added = 0;
+
+  async function walk(dirHandle, dirPath) {
+    for await (const [name, entry] of dirHandle.entries()) {
+      if (name.startsWith(".")) continue;
+      const path = `${dirPath}/${name}`;
+      if (entry.kind === "directory") {
+        await walk(entry, path);
+      } else if (LIBRARY_FILE.test(name)) {
+        let record = knownRecords.get(path);
+        if (!record && manifest.has(path)) {
+          const [size, lastModified] = manifest.get(path);
+          record = recordFromHandle(entry, path, size, lastModified);
+        }
+        if (!record) {
+          const file = await entry.getFile();
+          record = recordFromHandle(entry, path, file.size, file.lastModified);
+          added += 1;
+        }
+        nextKnown.set(path, record);
+        records.push(record);
+        if (records.length % 500 === 0) onProgress?.(records.length);
+      }
+    }
+  }
+
+  await walk(rootHandle, rootHandle.name);
+  knownRecords = nextKnown;
+  await saveManifest(rootHandle, records);
+  return { records, added };
+}
+
+// Parsed event.json contents keyed by path, so rescans only read new event folders
+export async function loadEventMetaCache() {
+  try {
+    return new Map(Object.entries((await idbGet("library", META_CACHE_KEY)) || {}));
+  } catch {
+    return new Map();
+  }
+}
+
+export async function saveEventMetaCache(cache) {
+  try {
+    await idbSet("library", META_CACHE_KEY, Object.fromEntries(cache));
+  } catch (err) {
+    console.warn("Could not cache event metadata", err);
+  }
+}
+
+export function saveLastPlayback(eventKey, time) {
+  if (!eventKey) return;
+  try {
+    localStorage.setItem(LAST_PLAYBACK_KEY, JSON.stringify({ eventKey, time }));
+  } catch {
+    // Storage full or disabled; resuming is best-effort
+  }
+}
+
+export function loadLastPlayback() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LAST_PLAYBACK_KEY) || "null");
+    return raw && typeof raw.eventKey === "string" ? raw : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,165 @@
+// Background telemetry indexer: parses a clip's SEI off the main thread and returns a summary
+// (or, for diagnostics, a quick probe of the container, or the frame sequence for camera alignment).
+// Classic worker so it can load the same scripts the page uses.
+
+self.window = self; // dashcam-mp4.js registers itself on window
+importScripts("lib/protobuf.min.js", "lib/dashcam-mp4.js");
+
+const HARD_BRAKE_MPS2 = 3.5; // ~0.36 g of deceleration
+const HARD_BRAKE_GAP_SEC = 1;
+const SAMPLE_INTERVAL_SEC = 0.5; // resolution of the searchable timeline
+
+let seiTypePromise = null;
+
+function getSeiType() {
+  if (!seiTypePromise) {
+    seiTypePromise = fetch("lib/dashcam.proto")
+      .then((resp) => resp.text())
+      .then((text) => protobuf.parse(text).root.lookupType("SeiMetadata"));
+  }
+  return seiTypePromise;
+}
+
+function hasFix(sei) {
+  return Number.isFinite(sei.latitudeDeg) && Number.isFinite(sei.longitudeDeg) && (sei.latitudeDeg !== 0 || sei.longitudeDeg !== 0);
+}
+
+// One timeline sample per interval. Speed, gear, autopilot and GPS come from the first frame in the
+// window; brake and blinkers are set if seen on any frame, accY keeps the hardest deceleration.
+function startSample(t, sei) {
+  const fix = hasFix(sei);
+  return {
+    t: Math.round(t * 100) / 100,
+    speed: sei.vehicleSpeedMps || 0,
+    gear: sei.gearState || 0,
+    ap: sei.autopilotState || 0,
+    brake: !!sei.brakeApplied,
+    left: !!sei.blinkerOnLeft,
+    right: !!sei.blinkerOnRight,
+    accY: sei.linearAccelerationMps2Y || 0,
+    lat: fix ? sei.latitudeDeg : null,
+    lon: fix ? sei.longitudeDeg : null,
+  };
+}
+
+function mergeIntoSample(sample, sei) {
+  sample.brake = sample.brake || !!sei.brakeApplied;
+  sample.left = sample.left || !!sei.blinkerOnLeft;
+  sample.right = sample.right || !!sei.blinkerOnRight;
+  sample.accY = Math.min(sample.accY, sei.linearAccelerationMps2Y || 0);
+}
+
+function summarize(frames, durations) {
+  const summary = {
+    durationSec: 0,
+    seiFrames: 0,
+    maxSpeedMps: 0,
+    distanceM: 0,
+    autopilotSec: 0,
+    hardBrakeCount: 0,
+    bbox: null, // { minLat, maxLat, minLon, maxLon }
+    samples: [],
+  };
+  let sample = null;
+  let lastHardBrakeAt = -Infinity;
+  let inHardBrake = false;
+
+  frames.forEach((frame, idx) => {
+    const dt = (durations[idx] || 1000 / 30) / 1000;
+    const t = summary.durationSec;
+    summary.durationSec += dt;
+    const sei = frame.sei;
+    if (!sei) return;
+    summary.seiFrames += 1;
+
+    if (!sample || t - sample.t >= SAMPLE_INTERVAL_SEC) {
+      sample = startSample(t, sei);
+      summary.samples.push(sample);
+    } else {
+      mergeIntoSample(sample, sei);
+    }
+
+    const speed = sei.vehicleSpeedMps || 0;
+    summary.maxSpeedMps = Math.max(summary.maxSpeedMps, speed);
+    summary.distanceM += speed * dt;
+    if (sei.autopilotState) summary.autopilotSec += dt;
+
+    // Count each hard stop once, not once per frame
+    const hardBrake = sei.brakeApplied && (sei.linearAccelerationMps2Y || 0) <= -HARD_BRAKE_MPS2;
+    if (hardBrake && !inHardBrake && t - lastHardBrakeAt >= HARD_BRAKE_GAP_SEC) {
+      summary.hardBrakeCount += 1;
+      lastHardBrakeAt = t;
+    }
+    inHardBrake = hardBrake;
+
+    if (hasFix(sei)) {
+      const { latitudeDeg: lat, longitudeDeg: lon } = sei;
+      const box = summary.bbox || (summary.bbox = { minLat: lat, maxLat: lat, minLon: lon, maxLon: lon });
+      box.minLat = Math.min(box.minLat, lat);
+      box.maxLat = Math.max(box.maxLat, lat);
+      box.minLon = Math.min(box.minLon, lon);
+      box.maxLon = Math.max(box.maxLon, lon);
+    }
+  });
+  return summary;
+}
+
+// Container-level facts for diagnostics and duplicate detection: parses the moov and reads SEI messages
+async function probe(mp4, SeiMetadata) {
+  const config = mp4.getConfig();
+  const durationMs = config.durations.reduce((sum, d) => sum + d, 0);
+  const messages = await mp4.streamSeiMessages(SeiMetadata);
+  const firstSeq = messages[0]?.frameSeqNo;
+  return {
+    durationSec: durationMs / 1000,
+    frameCount: config.durations.length,
+    width: config.width,
+    height: config.height,
+    seiCount: messages.length,
+    // uint64 may decode as a Long; a string survives postMessage and compares exactly
+    firstFrameSeqNo: firstSeq == null ? null : String(firstSeq),
+  };
+}
+
+function seqToNumber(seq) {
+  return typeof seq === "object" && seq !== null ? seq.toNumber() : Number(seq);
+}
+
+// Media time (s) and SEI frameSeqNo of every frame that carries one
+async function frameSequence(mp4, SeiMetadata) {
+  const durations = mp4.getConfig().durations;
+  const times = [];
+  const seqs = [];
+  let time = 0;
+  (await mp4.streamSeiFrames(SeiMetadata)).forEach((frame, idx) => {
+    const seq = frame.sei?.frameSeqNo;
+    if (seq != null) {
+      times.push(time);
+      seqs.push(seqToNumber(seq));
+    }
+    time += (durations[idx] || 1000 / 36) / 1000;
+  });
+  return { times, seqs };
+}
+
+const TASKS = {
+  summarize: async (mp4, SeiMetadata) => summarize(await mp4.streamSeiFrames(SeiMetadata), mp4.getConfig().durations),
+  probe,
+  sequence: frameSequence,
+};
+
+// Messages: { id, task: "summarize" | "probe" | "sequence", file } -> { id, result } or { id, error }
+self.onmessage = async (e) => {
+  const { id, task = "summarize", file } = e.data;
+  try {
+    const SeiMetadata = await getSeiType();
+    // Blob-backed: reads moov, the SEI NAL units and the NAL headers, never the slice data, so big clips stay cheap
+    const mp4 = await DashcamMP4.fromBlob(file);
+    const run = TASKS[task];
+    if (!run) throw new Error(`Unknown task ${task}`);
+    const result = await run(mp4, SeiMetadata);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,231 @@
+// Keyboard shortcuts: one table of actions with default keys, user overrides kept in
+// localStorage, and the help overlay that lists and rebinds them.
+
+const keymapPanel = document.getElementById("keymapPanel");
+const keymapList = document.getElementById("keymapList");
+const keymapReset = document.getElementById("keymapReset");
+const keymapClose = document.getElementById("keymapClose");
+
+const KEYMAP_STORAGE_KEY = "tesla360.keymap";
+
+export const KEY_ACTIONS = [
+  { id: "togglePlay", label: "Play / pause", key: "Space" },
+  { id: "seekBack", label: "Back 1 s", key: "ArrowLeft" },
+  { id: "seekForward", label: "Forward 1 s", key: "ArrowRight" },
+  { id: "seekBackLong", label: "Back 10 s", key: "Shift+ArrowLeft" },
+  { id: "seekForwardLong", label: "Forward 10 s", key: "Shift+ArrowRight" },
+  { id: "shuttleReverse", label: "Shuttle reverse (repeat: faster)", key: "j" },
+  { id: "shuttlePause", label: "Shuttle pause (hold + J/L: step frame)", key: "k" },
+  { id: "shuttleForward", label: "Shuttle forward (repeat: faster)", key: "l" },
+  { id: "frameBack", label: "Previous frame", key: "," },
+  { id: "frameForward", label: "Next frame", key: "." },
+  { id: "loopIn", label: "Loop in point (A)", key: "i" },
+  { id: "loopOut", label: "Loop out point (B)", key: "o" },
+  { id: "loopClear", label: "Clear loop", key: "x" },
+  { id: "addBookmark", label: "Bookmark moment and view", key: "b" },
+  { id: "toggleBookmarks", label: "Bookmarks panel", key: "Shift+b" },
+  { id: "prevEvent", label: "Previous event", key: "[" },
+  { id: "nextEvent", label: "Next event", key: "]" },
+  { id: "nextUnreviewed", label: "Next unreviewed event", key: "u" },
+  { id: "viewCam0", label: "Look front", key: "1" },
+  { id: "viewCam1", label: "Look left pillar", key: "2" },
+  { id: "viewCam2", label: "Look left repeater", key: "3" },
+  { id: "viewCam3", label: "Look back", key: "4" },
+  { id: "viewCam4", label: "Look right repeater", key: "5" },
+  { id: "viewCam5", label: "Look right pillar", key: "6" },
+  { id: "resetView", label: "Reset view", key: "r" },
+  { id: "nextPreset", label: "Next view preset", key: "p" },
+  { id: "toggleTelemetry", label: "Toggle telemetry", key: "t" },
+  { id: "toggleUi", label: "Toggle controls", key: "h" },
+  { id: "showHelp", label: "Keyboard shortcuts", key: "?" },
+];
+
+const KEY_LABELS = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Space: "Space" };
+
+// action id -> key ("" = unbound); only the user's changes are stored
+let overrides = null;
+let handlers = {};
+let capturingId = null;
+const heldKeys = new Set();
+
+function loadOverrides() {
+  if (overrides) return overrides;
+  try {
+    overrides = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || "{}") || {};
+  } catch {
+    overrides = {};
+  }
+  return overrides;
+}
+
+function saveOverrides() {
+  try {
+    localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(overrides));
+  } catch (err) {
+    console.warn("Could not save keyboard shortcuts", err);
+  }
+}
+
+export function getBinding(id) {
+  const custom = loadOverrides()[id];
+  if (typeof custom === "string") return custom;
+  return KEY_ACTIONS.find((action) => action.id === id)?.key || "";
+}
+
+/**
+ * "Shift+ArrowLeft", "Ctrl+s", "?". Letters are stored lower-case with an explicit Shift;
+ * other printable characters already carry it ("?" rather than "Shift+/").
+ */
+export function keyFromEvent(e) {
+  if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return null;
+  let name = e.key === " " ? "Space" : e.key;
+  const mods = [];
+  if (e.ctrlKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  if (e.metaKey) mods.push("Meta");
+  if (name.length === 1) {
+    if (/[a-z]/i.test(name)) {
+      if (e.shiftKey) mods.push("Shift");
+      name = name.toLowerCase();
+    }
+  } else if (e.shiftKey) {
+    mods.push("Shift");
+  }
+  return [...mods, name].join("+");
+}
+
+export function formatBinding(key) {
+  if (!key) return "—";
+  return key
+    .split("+")
+    .map((part) => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part))
+    .join(" + ");
+}
+
+function actionForKey(key) {
+  return KEY_ACTIONS.find((action) => getBinding(action.id) === key) || null;
+}
+
+/** Is the key bound to this action currently held down (e.g. K for frame stepping)? */
+export function isActionHeld(id) {
+  const key = getBinding(id);
+  return !!key && heldKeys.has(key);
+}
+
+function isTypingTarget(target) {
+  return ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || target.isContentEditable;
+}
+
+/** @param {Object<string, Function>} actionHandlers action id -> handler */
+export function initKeymap(actionHandlers) {
+  handlers = { ...actionHandlers, showHelp: toggleKeymapHelp };
+  document.addEventListener("keydown", onKeyDown);
+  document.addEventListener("keyup", (e) => {
+    // Modifiers may be released first, so drop every combination of this key
+    const base = e.key === " " ? "Space" : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    heldKeys.forEach((key) => {
+      if (key === base || key.endsWith(`+${base}`)) heldKeys.delete(key);
+    });
+  });
+  window.addEventListener("blur", () => heldKeys.clear());
+  keymapClose?.addEventListener("click", closeKeymapHelp);
+  keymapReset?.addEventListener("click", () => {
+    overrides = {};
+    saveOverrides();
+    renderKeymapList();
+  });
+  keymapPanel?.addEventListener("click", (e) => {
+    if (e.target === keymapPanel) closeKeymapHelp();
+  });
+}
+
+function onKeyDown(e) {
+  if (capturingId) {
+    e.preventDefault();
+    captureBinding(e);
+    return;
+  }
+  if (e.key === "Escape" && isKeymapHelpOpen()) {
+    closeKeymapHelp();
+    return;
+  }
+  if (isTypingTarget(e.target)) return;
+  const key = keyFromEvent(e);
+  if (!key) return;
+  heldKeys.add(key);
+  const action = actionForKey(key);
+  const handler = action && handlers[action.id];
+  if (!handler) return;
+  e.preventDefault();
+  // Holding a seek key repeats it; toggles and shuttles would flicker
+  if (e.repeat && !action.id.startsWith("seek") && !action.id.startsWith("frame")) return;
+  handler();
+}
+
+function captureBinding(e) {
+  const id = capturingId;
+  if (e.key === "Escape") {
+    capturingId = null;
+    renderKeymapList();
+    return;
+  }
+  const key = e.key === "Backspace" || e.key === "Delete" ? "" : keyFromEvent(e);
+  if (key === null) return; // a lone modifier: keep waiting for the key itself
+  capturingId = null;
+  const map = loadOverrides();
+  // A key does one thing: whatever had it before becomes unbound
+  if (key) {
+    KEY_ACTIONS.forEach((action) => {
+      if (action.id !== id && getBinding(action.id) === key) map[action.id] = "";
+    });
+  }
+  const fallback = KEY_ACTIONS.find((action) => action.id === id)?.key;
+  if (key === fallback) delete map[id];
+  else map[id] = key;
+  saveOverrides();
+  renderKeymapList();
+}
+
+export function isKeymapHelpOpen() {
+  return !!keymapPanel && !keymapPanel.classList.contains("hidden");
+}
+
+export function openKeymapHelp() {
+  if (!keymapPanel) return;
+  renderKeymapList();
+  keymapPanel.classList.remove("hidden");
+}
+
+export function closeKeymapHelp() {
+  capturingId = null;
+  keymapPanel?.classList.add("hidden");
+}
+
+export function toggleKeymapHelp() {
+  if (isKeymapHelpOpen()) closeKeymapHelp();
+  else openKeymapHelp();
+}
+
+function renderKeymapList() {
+  if (!keymapList) return;
+  keymapList.innerHTML = "";
+  KEY_ACTIONS.forEach((action) => {
+    const row = document.createElement("div");
+    row.className = "keymap-row";
+    const label = document.createElement("span");
+    label.textContent = action.label;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "keymap-key";
+    const key = getBinding(action.id);
+    btn.classList.toggle("custom", key !== action.key);
+    btn.textContent = capturingId === action.id ? "Press a key…" : formatBinding(key);
+    btn.title = "Click, then press the new key (Backspace clears, Escape cancels)";
+    btn.addEventListener("click", () => {
+      capturingId = action.id;
+      renderKeymapList();
+    });
+    row.append(label, btn);
+    keymapList.appendChild(row);
+  });
+}
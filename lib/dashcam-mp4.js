@@ -1,12 +1,49 @@
 /**
  * Tesla Dashcam MP4 Parser
  * Parses MP4 files and extracts SEI metadata from Tesla dashcam footage.
+ * new DashcamMP4(buffer) parses a whole file in memory; DashcamMP4.fromBlob(blob) keeps only the
+ * moov box and reads SEI (stream* methods) or frames (readSamples) out of mdat on demand.
  */
 class DashcamMP4 {
     constructor(buffer) {
         this.buffer = buffer;
         this.view = new DataView(buffer);
         this._config = null;
+        this.blob = null; // Blob-backed mode: buffer holds only the moov box
+        this.mdat = null; // { offset, size } of mdat content within the blob
+        this._samples = null;
+    }
+
+    /**
+     * Blob-backed parser: reads the top-level box headers and the moov box, nothing of mdat.
+     * getConfig() works as usual; SEI comes from the async stream* methods.
+     */
+    static async fromBlob(blob) {
+        let moov = null, mdat = null;
+        for (let pos = 0; pos + 8 <= blob.size && !(moov && mdat);) {
+            const head = new DataView(await blob.slice(pos, pos + 16).arrayBuffer());
+            let size = head.getUint32(0);
+            const type = String.fromCharCode(head.getUint8(4), head.getUint8(5), head.getUint8(6), head.getUint8(7));
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number((BigInt(head.getUint32(8)) << 32n) | BigInt(head.getUint32(12)));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = blob.size - pos;
+            }
+            if (size < headerSize) break;
+
+            if (type === 'moov') moov = await blob.slice(pos, pos + size).arrayBuffer();
+            else if (type === 'mdat') mdat = { offset: pos + headerSize, size: size - headerSize };
+            pos += size;
+        }
+        if (!moov) throw new Error('Box "moov" not found');
+        if (!mdat) throw new Error('Box "mdat" not found');
+
+        const mp4 = new DashcamMP4(moov);
+        mp4.blob = blob;
+        mp4.mdat = mdat;
+        return mp4;
     }
 
     // -------------------------------------------------------------
@@ -38,6 +75,7 @@ class DashcamMP4 {
 
     /** Find mdat box and return content location */
     findMdat() {
+        if (this.mdat) return this.mdat;
         const mdat = this.findBox(0, this.view.byteLength, 'mdat');
         return { offset: mdat.start, size: mdat.size };
     }
@@ -104,6 +142,7 @@ class DashcamMP4 {
 
     /** Parse video frames with SEI metadata */
     parseFrames(SeiMetadata) {
+        this.requireBuffer('parseFrames');
         const config = this.getConfig();
         const mdat = this.findMdat();
         const frames = [];
@@ -138,12 +177,82 @@ class DashcamMP4 {
         return frames;
     }
 
+    // -------------------------------------------------------------
+    // Sample Table (random access without walking mdat)
+    // -------------------------------------------------------------
+
+    /**
+     * File offset, size and keyframe flag of every frame, from the moov sample tables
+     * (stsz, stco/co64, stsc, stss). Works on a Blob-backed parser, which holds moov.
+     */
+    getSamples() {
+        if (this._samples) return this._samples;
+
+        const moov = this.findBox(0, this.view.byteLength, 'moov');
+        const trak = this.findBox(moov.start, moov.end, 'trak');
+        const mdia = this.findBox(trak.start, trak.end, 'mdia');
+        const minf = this.findBox(mdia.start, mdia.end, 'minf');
+        const stbl = this.findBox(minf.start, minf.end, 'stbl');
+        const optionalBox = (name) => { try { return this.findBox(stbl.start, stbl.end, name); } catch { return null; } };
+
+        // Sizes: one shared size or a table
+        const stsz = this.findBox(stbl.start, stbl.end, 'stsz');
+        const sharedSize = this.view.getUint32(stsz.start + 4);
+        const count = this.view.getUint32(stsz.start + 8);
+        const sizeOf = (i) => sharedSize || this.view.getUint32(stsz.start + 12 + i * 4);
+
+        // Chunk offsets: 32-bit stco, or co64 for files past 4 GB
+        const chunkOffsets = [];
+        const stco = optionalBox('stco');
+        const co64 = stco ? null : this.findBox(stbl.start, stbl.end, 'co64');
+        const box = stco || co64;
+        const chunkCount = this.view.getUint32(box.start + 4);
+        for (let i = 0; i < chunkCount; i++) {
+            chunkOffsets.push(stco
+                ? this.view.getUint32(box.start + 8 + i * 4)
+                : Number(this.view.getBigUint64(box.start + 8 + i * 8)));
+        }
+
+        // Samples per chunk: runs starting at a 1-based chunk number
+        const stsc = this.findBox(stbl.start, stbl.end, 'stsc');
+        const runs = [];
+        for (let i = 0, n = this.view.getUint32(stsc.start + 4); i < n; i++) {
+            const at = stsc.start + 8 + i * 12;
+            runs.push({ firstChunk: this.view.getUint32(at), perChunk: this.view.getUint32(at + 4) });
+        }
+
+        // Keyframes: 1-based sample numbers; without stss every sample is one
+        const stss = optionalBox('stss');
+        const keyframes = stss ? new Set() : null;
+        if (stss) {
+            for (let i = 0, n = this.view.getUint32(stss.start + 4); i < n; i++) {
+                keyframes.add(this.view.getUint32(stss.start + 8 + i * 4) - 1);
+            }
+        }
+
+        const samples = [];
+        let run = 0;
+        for (let chunk = 0; chunk < chunkOffsets.length && samples.length < count; chunk++) {
+            while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk + 1) run++;
+            let offset = chunkOffsets[chunk];
+            for (let k = 0; k < (runs[run]?.perChunk || 0) && samples.length < count; k++) {
+                const index = samples.length;
+                const size = sizeOf(index);
+                samples.push({ offset, size, keyframe: keyframes ? keyframes.has(index) : true });
+                offset += size;
+            }
+        }
+        this._samples = samples;
+        return samples;
+    }
+
     // -------------------------------------------------------------
     // SEI Extraction
     // -------------------------------------------------------------
 
     /** Extract all SEI messages for CSV export */
     extractSeiMessages(SeiMetadata) {
+        this.requireBuffer('extractSeiMessages');
         const mdat = this.findMdat();
         const messages = [];
         let cursor = mdat.offset;
@@ -168,6 +277,103 @@ class DashcamMP4 {
         return messages;
     }
 
+    // -------------------------------------------------------------
+    // Streaming (Blob-backed)
+    // -------------------------------------------------------------
+
+    /**
+     * Walk mdat's NAL units straight from the Blob. visit(type, nal) gets the bytes of payloadTypes,
+     * as a view into the current read; headerTypes are visited with only their type (nal is null)
+     * and, like every other NAL unit, skipped without reading the payload. Each read takes
+     * NAL_READ_AHEAD bytes past what it needs, so a small SEI and the following NAL header usually
+     * arrive together.
+     */
+    async walkNals(payloadTypes, headerTypes, visit) {
+        if (!this.blob) throw new Error('walkNals needs a Blob-backed parser (DashcamMP4.fromBlob)');
+        const { offset, size } = this.findMdat();
+        const end = Math.min(offset + size, this.blob.size);
+        let chunk = new Uint8Array(0), chunkStart = offset, view = new DataView(chunk.buffer);
+        const ensure = async (pos, len) => {
+            if (pos >= chunkStart && pos + len <= chunkStart + chunk.length) return true;
+            if (pos + len > end) return false;
+            chunk = new Uint8Array(await this.blob.slice(pos, Math.min(end, pos + len + DashcamMP4.NAL_READ_AHEAD)).arrayBuffer());
+            chunkStart = pos;
+            view = new DataView(chunk.buffer);
+            return chunk.length >= len;
+        };
+
+        let cursor = offset;
+        while (await ensure(cursor, 5)) {
+            const len = view.getUint32(cursor - chunkStart);
+            if (len < 1 || cursor + 4 + len > end) break;
+            const type = view.getUint8(cursor + 4 - chunkStart) & 0x1F;
+            if (payloadTypes.includes(type)) {
+                if (!await ensure(cursor + 4, len)) break;
+                const at = cursor + 4 - chunkStart;
+                visit(type, chunk.subarray(at, at + len));
+            } else if (headerTypes.includes(type)) {
+                visit(type, null);
+            }
+            cursor += 4 + len;
+        }
+    }
+
+    /** Streaming parseFrames: frame order, keyframe flag and SEI, without the frame data */
+    async streamSeiFrames(SeiMetadata) {
+        const frames = [];
+        let pendingSei = null;
+        await this.walkNals([6], [1, 5], (type, nal) => {
+            if (type === 6) {
+                pendingSei = this.decodeSei(nal, SeiMetadata);
+                return;
+            }
+            frames.push({ index: frames.length, keyframe: type === 5, sei: pendingSei });
+            pendingSei = null;
+        });
+        return frames;
+    }
+
+    /** Streaming extractSeiMessages */
+    async streamSeiMessages(SeiMetadata) {
+        const messages = [];
+        await this.walkNals([6], [], (_type, nal) => {
+            // Payload type 5 = user data unregistered
+            if (nal.length < 2 || nal[1] !== 5) return;
+            const sei = this.decodeSei(nal, SeiMetadata);
+            if (sei) messages.push(sei);
+        });
+        return messages;
+    }
+
+    /**
+     * Frames [start, end) of getSamples() as Annex B chunks for VideoDecoder (no avcC description),
+     * keyframes led by SPS/PPS. The range is read in one piece, from the Blob in Blob-backed mode.
+     */
+    async readSamples(start, end) {
+        const samples = this.getSamples().slice(start, end);
+        if (!samples.length) return [];
+        const { sps, pps } = this.getConfig();
+        const from = Math.min(...samples.map((s) => s.offset));
+        const to = Math.max(...samples.map((s) => s.offset + s.size));
+        const bytes = this.blob
+            ? new Uint8Array(await this.blob.slice(from, to).arrayBuffer())
+            : new Uint8Array(this.buffer, from, to - from);
+        if (bytes.length < to - from) throw new Error('Sample data runs past the end of the file');
+
+        const startCode = new Uint8Array([0, 0, 0, 1]);
+        return samples.map(({ offset, size, keyframe }) => {
+            // 4-byte NAL lengths become start codes in place
+            const data = bytes.slice(offset - from, offset - from + size);
+            const view = new DataView(data.buffer);
+            for (let at = 0; at + 4 <= data.length;) {
+                const len = view.getUint32(at);
+                data.set(startCode, at);
+                at += 4 + len;
+            }
+            return keyframe ? DashcamMP4.concat(startCode, sps, startCode, pps, data) : data;
+        });
+    }
+
     /** Decode SEI NAL unit to protobuf message */
     decodeSei(nal, SeiMetadata) {
         if (!SeiMetadata || nal.length < 4) return null;
@@ -207,6 +413,10 @@ class DashcamMP4 {
 
     hex(n) { return n.toString(16).padStart(2, '0'); }
 
+    requireBuffer(method) {
+        if (this.blob) throw new Error(`${method} needs the whole file; use the stream* methods on a Blob-backed parser`);
+    }
+
     /** Concatenate Uint8Arrays */
     static concat(...arrays) {
         const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
@@ -216,6 +426,9 @@ class DashcamMP4 {
     }
 }
 
+/** Bytes read past each NAL header or SEI in Blob-backed mode (slice payloads are never loaded) */
+DashcamMP4.NAL_READ_AHEAD = 512;
+
 window.DashcamMP4 = DashcamMP4;
 
 // -------------------------------------------------------------
@@ -309,9 +522,14 @@ window.DashcamMP4 = DashcamMP4;
         setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    /** Get MP4 files from drag/drop DataTransfer */
-    async function getFilesFromDataTransfer(items) {
-        const files = [], entries = [];
+    /**
+     * Get MP4 files from drag/drop DataTransfer.
+     * options.accept(name) picks which files to keep (default: .mp4);
+     * paths[i] is files[i]'s path inside the dropped folder(s).
+     */
+    async function getFilesFromDataTransfer(items, options = {}) {
+        const accept = options.accept || (name => name.toLowerCase().endsWith('.mp4'));
+        const files = [], paths = [], entries = [];
         let directoryName = null;
         for (const item of items) {
             const entry = item.webkitGetAsEntry?.();
@@ -321,18 +539,29 @@ window.DashcamMP4 = DashcamMP4;
             }
         }
         if (entries.length !== 1 || !entries[0].isDirectory) directoryName = null;
+        // readEntries returns at most ~100 entries per call, so keep reading until it comes back empty
+        async function readAllEntries(reader) {
+            const all = [];
+            for (;;) {
+                const batch = await new Promise((res, rej) => reader.readEntries(res, rej));
+                if (!batch.length) return all;
+                all.push(...batch);
+            }
+        }
         async function traverse(entry) {
             if (entry.isFile) {
                 const file = await new Promise((res, rej) => entry.file(res, rej));
-                if (file.name.toLowerCase().endsWith('.mp4')) files.push(file);
+                if (accept(file.name)) {
+                    files.push(file);
+                    paths.push(entry.fullPath.replace(/^\//, ''));
+                }
             } else if (entry.isDirectory) {
-                const reader = entry.createReader();
-                const children = await new Promise((res, rej) => reader.readEntries(res, rej));
+                const children = await readAllEntries(entry.createReader());
                 await Promise.all(children.map(traverse));
             }
         }
         await Promise.all(entries.map(traverse));
-        return { files, directoryName };
+        return { files, paths, directoryName };
     }
 
     window.DashcamHelpers = {
@@ -0,0 +1,271 @@
+// Event library: turns TeslaCam clip files into playable events
+
+const CAM_FILE_PATTERN = /^(.*)-(front|back|left_pillar|left_repeater|right_pillar|right_repeater)\.mp4$/i;
+
+// Tesla writes one clip set per minute; allow some slack for clips that start late
+export const CLIP_SECONDS = 60;
+const CLIP_GAP_TOLERANCE_SEC = 15;
+
+export function deriveCamId(name) {
+  const match = name.match(CAM_FILE_PATTERN);
+  if (!match) return null;
+  return match[2].toLowerCase();
+}
+
+export function deriveClipPrefix(name) {
+  const match = name.match(CAM_FILE_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse a clip prefix like "2025-12-01_16-59-15" into a local-time timestamp (ms).
+ * Returns null when the prefix doesn't carry a timestamp.
+ */
+export function parseClipTimestamp(prefix) {
+  const match = prefix?.match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  return new Date(y, mo - 1, d, h, mi, s).getTime();
+}
+
+/**
+ * Group clip sets into drives: consecutive one-minute clips become a single drive.
+ * @param {Map<string, Object>} clipMap prefix -> { camId: file record }
+ * @returns {Array<Object>} [{ startPrefix, startMs, clips: [{ prefix, startMs, cams }] }]
+ */
+export function groupClipsIntoDrives(clipMap) {
+  const clips = sortClips(clipMap);
+  const drives = [];
+  let current = null;
+  for (const clip of clips) {
+    const prev = current?.clips[current.clips.length - 1];
+    const gapSec = prev && prev.startMs !== null && clip.startMs !== null ? (clip.startMs - prev.startMs) / 1000 : Infinity;
+    if (current && gapSec > 0 && gapSec <= CLIP_SECONDS + CLIP_GAP_TOLERANCE_SEC) {
+      current.clips.push(clip);
+    } else {
+      current = { startPrefix: clip.prefix, startMs: clip.startMs, clips: [clip] };
+      drives.push(current);
+    }
+  }
+  return drives;
+}
+
+function sortClips(clipMap) {
+  return Array.from(clipMap.entries())
+    .map(([prefix, cams]) => ({ prefix, startMs: parseClipTimestamp(prefix), cams }))
+    .sort((a, b) => a.prefix.localeCompare(b.prefix));
+}
+
+// An event folder is one incident even if Tesla skipped a minute inside it
+function singleDrive(clipMap) {
+  const clips = sortClips(clipMap);
+  return { startPrefix: clips[0].prefix, startMs: clips[0].startMs, clips };
+}
+
+// -------------------------------------------------------------
+// Folder-aware library
+// -------------------------------------------------------------
+
+export const CATEGORIES = ["SentryClips", "SavedClips", "RecentClips"];
+
+export const CATEGORY_LABELS = {
+  SentryClips: "Sentry",
+  SavedClips: "Saved",
+  RecentClips: "Recent",
+  Other: "Other",
+};
+
+/**
+ * Library file record. Every source (folder picker, drop, ...) is normalised to this shape so the
+ * library never needs to know where the bytes come from.
+ */
+export function fileRecordFromFile(file, path = file.webkitRelativePath || file.name) {
+  return {
+    name: file.name,
+    path,
+    size: file.size,
+    lastModified: file.lastModified,
+    getFile: () => Promise.resolve(file),
+  };
+}
+
+export function parentPath(path) {
+  return path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+}
+
+export function deriveCategory(path) {
+  const parts = path.toLowerCase().split("/");
+  return CATEGORIES.find((c) => parts.includes(c.toLowerCase())) || "Other";
+}
+
+export function deriveDateKey(prefix) {
+  const match = prefix?.match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+function createEvent(folder, category, drive) {
+  return {
+    key: folder ? `${folder}/${drive.startPrefix}` : drive.startPrefix,
+    folder,
+    category,
+    startPrefix: drive.startPrefix,
+    startMs: drive.startMs,
+    dateKey: deriveDateKey(drive.startPrefix),
+    clips: drive.clips,
+    eventJson: null,
+    thumb: null,
+    meta: null,
+  };
+}
+
+/** Video records that buildEventLibrary skips because their names carry no camera id */
+export function findUnmatchedClips(records) {
+  return records.filter((rec) => rec.name.toLowerCase().endsWith(".mp4") && !deriveCamId(rec.name));
+}
+
+/**
+ * Build the event library from file records.
+ * Files are bucketed by parent folder first, so identically named clips in RecentClips and
+ * SavedClips stay separate. Saved/Sentry event folders (and any folder with an event.json) become
+ * one event each; loose clips (RecentClips or an unknown folder) are split into drives by timestamp.
+ * @returns {Map<string, Object>} event key -> event
+ */
+export function buildEventLibrary(records) {
+  const folders = new Map();
+  const folderFor = (dir) => {
+    if (!folders.has(dir)) folders.set(dir, { clipMap: new Map(), eventJson: null, thumb: null });
+    return folders.get(dir);
+  };
+
+  for (const rec of records) {
+    const lower = rec.name.toLowerCase();
+    const dir = parentPath(rec.path);
+    if (lower === "event.json") {
+      folderFor(dir).eventJson = rec;
+      continue;
+    }
+    if (lower === "thumb.png") {
+      folderFor(dir).thumb = rec;
+      continue;
+    }
+    if (!lower.endsWith(".mp4")) continue;
+    const camId = deriveCamId(rec.name);
+    if (!camId) continue;
+    const { clipMap } = folderFor(dir);
+    const prefix = deriveClipPrefix(rec.name);
+    if (!clipMap.has(prefix)) clipMap.set(prefix, {});
+    clipMap.get(prefix)[camId] = rec;
+  }
+
+  const events = [];
+  folders.forEach((folder, dir) => {
+    if (!folder.clipMap.size) return;
+    const category = deriveCategory(dir);
+    const isEventFolder = category === "SentryClips" || category === "SavedClips" || !!folder.eventJson;
+    const drives = isEventFolder ? [singleDrive(folder.clipMap)] : groupClipsIntoDrives(folder.clipMap);
+    drives.forEach((drive) => {
+      const event = createEvent(dir, category, drive);
+      if (isEventFolder) {
+        event.eventJson = folder.eventJson;
+        event.thumb = folder.thumb;
+      }
+      events.push(event);
+    });
+  });
+
+  events.sort((a, b) => a.startPrefix.localeCompare(b.startPrefix) || a.key.localeCompare(b.key));
+  return new Map(events.map((event) => [event.key, event]));
+}
+
+/**
+ * Read every event's event.json into event.meta.
+ * @param {Map<string, Object>} [cache] path -> parsed meta; hits skip the file read, misses are added
+ */
+export async function loadEventMetadata(eventMap, cache = null) {
+  await Promise.all(
+    Array.from(eventMap.values()).map(async (event) => {
+      if (!event.eventJson) return;
+      const path = event.eventJson.path;
+      if (cache?.has(path)) {
+        event.meta = cache.get(path);
+        return;
+      }
+      try {
+        const file = await event.eventJson.getFile();
+        event.meta = parseEventJson(await file.text());
+        cache?.set(path, event.meta);
+      } catch (err) {
+        console.warn("Failed to read", path, err);
+      }
+    })
+  );
+}
+
+// event.json "camera" values use Tesla's internal numbering; only the six recorded views map to CAMS ids
+const EVENT_CAMERA_IDS = {
+  0: "front",
+  1: "front",
+  2: "front",
+  3: "left_repeater",
+  4: "right_repeater",
+  5: "left_pillar",
+  6: "right_pillar",
+  7: "back",
+};
+
+const EVENT_REASON_LABELS = {
+  sentry_aware_object_detection: "Sentry: object detected",
+  sentry_aware_accel: "Sentry: vehicle bumped",
+  sentry_locked_handle_pulled: "Sentry: door handle pulled",
+  user_interaction_honk: "Horn honked",
+  user_interaction_dashcam_icon_tapped: "Dashcam icon tapped",
+  user_interaction_dashcam_panel_save: "Saved from dashcam panel",
+  user_interaction_dashcam_launcher_action_tapped: "Saved from launcher",
+  vehicle_auto_emergency_braking: "Emergency braking",
+};
+
+export function formatEventReason(reason) {
+  if (!reason) return "";
+  const known = Object.keys(EVENT_REASON_LABELS).find((prefix) => reason.startsWith(prefix));
+  if (known) return EVENT_REASON_LABELS[known];
+  const words = reason.replace(/_/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Parse a SavedClips/SentryClips event.json.
+ * Returns null if the text isn't usable; numeric fields are null when absent.
+ */
+export function parseEventJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!raw || typeof raw !== "object") return null;
+  const toNumber = (v) => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+  };
+  // Timestamps are local time without a zone, e.g. "2025-12-01T17:05:23"
+  const triggerMs = raw.timestamp ? new Date(raw.timestamp).getTime() : NaN;
+  const cameraIndex = raw.camera !== undefined && raw.camera !== "" ? parseInt(raw.camera, 10) : null;
+  return {
+    timestamp: raw.timestamp || null,
+    triggerMs: Number.isFinite(triggerMs) ? triggerMs : null,
+    city: raw.city || "",
+    lat: toNumber(raw.est_lat),
+    lon: toNumber(raw.est_lon),
+    reason: raw.reason || "",
+    camera: Number.isInteger(cameraIndex) ? EVENT_CAMERA_IDS[cameraIndex] || null : null,
+  };
+}
+
+/** Rough event length from clip timestamps (seconds); exact durations need the video metadata */
+export function estimateEventDuration(event) {
+  const first = event.clips[0];
+  const last = event.clips[event.clips.length - 1];
+  if (first?.startMs === null || last?.startMs === null) return event.clips.length * CLIP_SECONDS;
+  return (last.startMs - first.startMs) / 1000 + CLIP_SECONDS;
+}
@@ -0,0 +1,146 @@
+// Playlist: play a set of events back to back, buffering the next one before the current ends
+
+import { state } from "./state.js";
+
+const playlistMode = document.getElementById("playlistMode");
+const playlistPrev = document.getElementById("playlistPrev");
+const playlistNext = document.getElementById("playlistNext");
+const playlistPosition = document.getElementById("playlistPosition");
+
+// Start buffering the next event this long before the current one ends
+const PRELOAD_LEAD_SEC = 20;
+
+// { mode, keys, index } while a playlist runs
+let playlist = null;
+// Next event's resolved sources: { key, ... } as returned by callbacks.prepare
+let prepared = null;
+let preparingKey = null;
+let preloadTimer = null;
+let callbacks = {
+  buildKeys: () => [],
+  play: () => {},
+  prepare: async () => null,
+  discard: () => {},
+  getRemaining: () => Infinity,
+  onFinished: () => {},
+};
+
+export function initPlaylist(options) {
+  callbacks = { ...callbacks, ...options };
+  playlistMode?.addEventListener("change", (e) => {
+    if (e.target.value) startPlaylist(e.target.value);
+    else stopPlaylist();
+  });
+  playlistPrev?.addEventListener("click", () => stepPlaylist(-1));
+  playlistNext?.addEventListener("click", () => stepPlaylist(1));
+}
+
+export function isPlaylistActive() {
+  return !!playlist;
+}
+
+/** mode: "day", "filter" or "starred" (see callbacks.buildKeys) */
+export function startPlaylist(mode) {
+  const keys = callbacks.buildKeys(mode);
+  if (!keys.length) {
+    stopPlaylist();
+    return false;
+  }
+  discardPrepared();
+  const current = keys.indexOf(state.currentEventKey);
+  playlist = { mode, keys, index: Math.max(0, current) };
+  if (playlistMode) playlistMode.value = mode;
+  renderPosition();
+  clearInterval(preloadTimer);
+  preloadTimer = setInterval(maybePreloadNext, 1000);
+  // Keep playing the current event if it's part of the list
+  if (current < 0) callbacks.play(keys[0], null);
+  return true;
+}
+
+export function stopPlaylist() {
+  playlist = null;
+  clearInterval(preloadTimer);
+  preloadTimer = null;
+  discardPrepared();
+  if (playlistMode) playlistMode.value = "";
+  renderPosition();
+}
+
+/**
+ * Move by step events; returns false at either end of the list, otherwise whatever
+ * callbacks.play returned (controls.js passes back a promise of whether the event opened)
+ */
+export function stepPlaylist(step) {
+  if (!playlist) return false;
+  const index = playlist.index + step;
+  if (index < 0 || index >= playlist.keys.length) return false;
+  playlist.index = index;
+  const key = playlist.keys[index];
+  const ready = prepared?.key === key ? prepared : null;
+  if (!ready) discardPrepared();
+  prepared = null;
+  renderPosition();
+  return callbacks.play(key, ready) ?? true;
+}
+
+/**
+ * Drive-end hook: advance to the next event. Returns false when there is nothing to advance to,
+ * so the current event loops as usual; otherwise stepPlaylist's result (see setDriveEndHandler).
+ */
+export function handlePlaylistDriveEnd() {
+  if (!playlist) return false;
+  const next = stepPlaylist(1);
+  if (next) return next;
+  stopPlaylist();
+  callbacks.onFinished();
+  return false;
+}
+
+/** Keep the position in sync when the user opens an event by hand */
+export function notePlaylistEvent(key) {
+  if (!playlist || playlist.keys[playlist.index] === key) return;
+  const index = playlist.keys.indexOf(key);
+  if (index < 0) {
+    stopPlaylist();
+    return;
+  }
+  playlist.index = index;
+  discardPrepared();
+  renderPosition();
+}
+
+function discardPrepared() {
+  if (prepared) callbacks.discard(prepared);
+  prepared = null;
+  preparingKey = null;
+}
+
+async function maybePreloadNext() {
+  if (!playlist || !state.isInitialized) return;
+  const nextKey = playlist.keys[playlist.index + 1];
+  if (!nextKey || prepared?.key === nextKey || preparingKey === nextKey) return;
+  if (callbacks.getRemaining() > PRELOAD_LEAD_SEC) return;
+  discardPrepared();
+  preparingKey = nextKey;
+  try {
+    const result = await callbacks.prepare(nextKey);
+    if (preparingKey !== nextKey || playlist?.keys[playlist.index + 1] !== nextKey) {
+      if (result) callbacks.discard(result);
+      return;
+    }
+    prepared = result;
+  } catch (err) {
+    console.warn("Could not preload next event", err);
+  } finally {
+    if (preparingKey === nextKey) preparingKey = null;
+  }
+}
+
+function renderPosition() {
+  const active = !!playlist;
+  [playlistPrev, playlistNext, playlistPosition].forEach((el) => el?.classList.toggle("hidden", !active));
+  if (playlistPosition && playlist) {
+    playlistPosition.textContent = `${playlist.index + 1}/${playlist.keys.length}`;
+  }
+}
@@ -9,9 +9,16 @@ function findCamIndex(name) {
   return CAMS.findIndex((c) => normalizeCamId(c.id) === key);
 }
 
+/** "+28 ms" / "0 ms" for the camera offset readouts */
+export function formatOffsetMs(ms) {
+  const rounded = Math.round(ms);
+  return `${rounded > 0 ? "+" : ""}${rounded} ms`;
+}
+
 export function applyPreset(preset, domRefs) {
   if (!preset) return;
-  const { fovScaleSlider, fovScaleValue, lockPitchToggle, prioritySelect, updateCamUniforms } = domRefs;
+  const { fovScaleSlider, fovScaleValue, lockPitchToggle, prioritySelect, updateCamUniforms, onCamOffsetsChange } = domRefs;
+  let offsetsChanged = false;
 
   if (preset.globalFovScale !== undefined) {
     state.fovScale = preset.globalFovScale;
@@ -32,12 +39,21 @@ export function applyPreset(preset, domRefs) {
       if (state.fovInputs[idx]) state.fovInputs[idx].value = p.fov;
       if (state.fovValues[idx]) state.fovValues[idx].textContent = `${p.fov}°`;
     }
+    // Presets without an offset keep the current one: it belongs to the footage, not the view
+    if (p.offsetMs !== undefined && !Number.isNaN(p.offsetMs) && p.offsetMs !== (state.camOffsetMs[idx] || 0)) {
+      state.camOffsetMs[idx] = p.offsetMs;
+      if (state.offsetInputs[idx]) state.offsetInputs[idx].value = p.offsetMs;
+      if (state.offsetValues[idx]) state.offsetValues[idx].textContent = formatOffsetMs(p.offsetMs);
+      offsetsChanged = true;
+    }
     if (p.enabled !== undefined) {
       state.enabledFlags[idx] = p.enabled;
       if (state.toggleInputs[idx]) state.toggleInputs[idx].checked = p.enabled;
     }
   });
 
+  if (offsetsChanged) onCamOffsetsChange?.();
+
   if (preset.lockPitch !== undefined) {
     state.lockPitch = preset.lockPitch;
     if (lockPitchToggle) lockPitchToggle.checked = state.lockPitch;
@@ -120,14 +136,16 @@ function parsePresetCsvText(text) {
       const camId = parts[0];
       const yawIdx = parts.findIndex((p) => p.toLowerCase() === "yaw");
       const fovIdx = parts.findIndex((p) => p.toLowerCase() === "fov");
+      const offsetIdx = parts.findIndex((p) => p.toLowerCase() === "offset");
       const yaw = yawIdx >= 0 ? parseFloat(parts[yawIdx + 1]) : undefined;
       const fov = fovIdx >= 0 ? parseFloat(parts[fovIdx + 1]) : undefined;
+      const offsetMs = offsetIdx >= 0 ? parseFloat(parts[offsetIdx + 1]) : undefined;
       const enabled = parts.some((p) => p.toLowerCase() === "enabled")
         ? true
         : parts.some((p) => p.toLowerCase() === "disabled")
         ? false
         : true;
-      current.cams.push({ id: camId, yaw, fov, enabled });
+      current.cams.push({ id: camId, yaw, fov, offsetMs, enabled });
     }
   }
   pushCurrent();
@@ -0,0 +1,92 @@
+// Per-event review state (status, tags, notes) persisted in localStorage
+
+const REVIEW_STORAGE_KEY = "tesla360.review";
+
+export const REVIEW_STATUSES = ["unreviewed", "reviewed", "starred"];
+
+// review key -> { status, tags, notes, updatedAt }
+let reviews = null;
+
+/**
+ * Events are identified by category and start time rather than by path, so reviews survive
+ * reopening the same footage from a different folder, a drop or a ZIP.
+ */
+export function reviewKey(event) {
+  return `${event.category}/${event.startPrefix}`;
+}
+
+function loadReviews() {
+  if (reviews) return reviews;
+  try {
+    reviews = JSON.parse(localStorage.getItem(REVIEW_STORAGE_KEY) || "{}") || {};
+  } catch {
+    reviews = {};
+  }
+  return reviews;
+}
+
+function saveReviews() {
+  try {
+    localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(reviews));
+  } catch (err) {
+    console.warn("Could not save review state", err);
+  }
+}
+
+export function getReview(event) {
+  const entry = loadReviews()[reviewKey(event)];
+  return {
+    status: REVIEW_STATUSES.includes(entry?.status) ? entry.status : "unreviewed",
+    tags: Array.isArray(entry?.tags) ? entry.tags : [],
+    notes: typeof entry?.notes === "string" ? entry.notes : "",
+  };
+}
+
+function updateReview(event, changes) {
+  const key = reviewKey(event);
+  const next = { ...getReview(event), ...changes, updatedAt: Date.now() };
+  // Don't keep entries that are back to the defaults
+  if (next.status === "unreviewed" && !next.tags.length && !next.notes) {
+    delete loadReviews()[key];
+  } else {
+    loadReviews()[key] = next;
+  }
+  saveReviews();
+}
+
+export function setReviewStatus(event, status) {
+  if (!REVIEW_STATUSES.includes(status)) return;
+  updateReview(event, { status });
+}
+
+export function setReviewTags(event, tags) {
+  updateReview(event, { tags });
+}
+
+export function setReviewNotes(event, notes) {
+  updateReview(event, { notes: notes.trim() });
+}
+
+/** "Plates, hit and run,plates" -> ["plates", "hit and run"] */
+export function parseTags(text) {
+  const tags = text
+    .split(",")
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+/** Every tag in use, for the filter list */
+export function allReviewTags() {
+  const tags = new Set();
+  Object.values(loadReviews()).forEach((entry) => (entry.tags || []).forEach((tag) => tags.add(tag)));
+  return Array.from(tags).sort();
+}
+
+/** Does the event pass a review filter ("all", a status, or "tag:<name>")? */
+export function matchesReviewFilter(event, filter) {
+  if (!filter || filter === "all") return true;
+  const review = getReview(event);
+  if (filter.startsWith("tag:")) return review.tags.includes(filter.slice(4));
+  return review.status === filter;
+}
@@ -0,0 +1,55 @@
+// Markers drawn over the seek slider (event triggers and other points of interest)
+
+import { state } from "./state.js";
+
+const markersLayer = document.getElementById("seekMarkers");
+
+// group name -> [{ time, end?, label, className, onJump? }]; markers with an end are drawn as
+// ranges, and onJump replaces the plain seek on click
+const markerGroups = new Map();
+let jumpHandler = null;
+
+export function initSeekMarkers(onJump) {
+  jumpHandler = onJump;
+  window.addEventListener("resize", renderSeekMarkers);
+}
+
+/** Replace one group of markers; pass an empty array to clear it */
+export function setSeekMarkers(group, markers) {
+  if (markers && markers.length) {
+    markerGroups.set(group, markers);
+  } else {
+    markerGroups.delete(group);
+  }
+  renderSeekMarkers();
+}
+
+export function clearSeekMarkers() {
+  markerGroups.clear();
+  renderSeekMarkers();
+}
+
+export function renderSeekMarkers() {
+  if (!markersLayer) return;
+  markersLayer.innerHTML = "";
+  const duration = state.masterDuration;
+  if (!duration) return;
+
+  markerGroups.forEach((markers, group) => {
+    markers.forEach((marker) => {
+      if (!Number.isFinite(marker.time) || marker.time < 0 || marker.time > duration) return;
+      const el = document.createElement("button");
+      el.type = "button";
+      const isRange = Number.isFinite(marker.end) && marker.end > marker.time;
+      el.className = `seek-marker seek-marker-${group}${isRange ? " seek-range" : ""}${marker.className ? ` ${marker.className}` : ""}`;
+      el.style.left = `${(marker.time / duration) * 100}%`;
+      if (isRange) el.style.width = `${((Math.min(marker.end, duration) - marker.time) / duration) * 100}%`;
+      el.title = marker.label || "";
+      el.addEventListener("click", (e) => {
+        e.stopPropagation();
+        (marker.onJump || jumpHandler)?.(marker.time);
+      });
+      markersLayer.appendChild(el);
+    });
+  });
+}
@@ -0,0 +1,107 @@
+// Telemetry strip behind the seek bar: speed over the drive, autopilot bands and brake / blinker
+// ticks, so the interesting part of a clip can be found before scrubbing
+
+import { state } from "./state.js";
+import { getEventSummary } from "./eventIndex.js";
+
+const canvas = document.getElementById("seekSparkline");
+
+// Same hues as the telemetry overlay (FSD red, Autosteer / TACC blue)
+const AP_COLORS = { 1: "rgba(255, 64, 64, 0.3)", 2: "rgba(62, 156, 191, 0.4)", 3: "rgba(62, 156, 191, 0.22)" };
+const SPEED_FILL = "rgba(159, 180, 204, 0.28)";
+const SPEED_LINE = "rgba(159, 180, 204, 0.8)";
+const BRAKE_COLOR = "#ff4d4f";
+const BLINKER_COLOR = "#7be0a3";
+// Keep a parking-lot crawl from filling the strip
+const MIN_SPEED_SCALE_MPS = 10;
+
+let pendingFrame = null;
+
+export function initSeekSparkline() {
+  window.addEventListener("resize", scheduleSparkline);
+}
+
+/** Redraw on the next animation frame; cheap to call repeatedly while telemetry streams in */
+export function scheduleSparkline() {
+  if (pendingFrame !== null) return;
+  pendingFrame = requestAnimationFrame(() => {
+    pendingFrame = null;
+    renderSparkline();
+  });
+}
+
+/**
+ * One bin per pixel column: fastest speed, autopilot state, any brake or blinker. The parsed front
+ * clips fill the bins first; columns they don't reach yet (still parsing, or a clip without SEI)
+ * use the indexer's 0.5 s samples for the event.
+ */
+function buildBins(count, duration) {
+  const bins = Array.from({ length: count }, () => ({ speed: -1, ap: 0, brake: false, blinker: false }));
+  const binIndex = (t) => Math.min(count - 1, Math.floor((t / duration) * count));
+  const add = (bin, speed, ap, brake, blinker) => {
+    bin.speed = Math.max(bin.speed, speed);
+    if (ap && !bin.ap) bin.ap = ap;
+    bin.brake = bin.brake || brake;
+    bin.blinker = bin.blinker || blinker;
+  };
+
+  const frames = state.telemetryFrames || [];
+  const times = state.frameTimes || [];
+  const covered = new Uint8Array(count);
+  frames.forEach((frame, i) => {
+    const t = times[i];
+    const sei = frame.sei;
+    if (!sei || !(t >= 0) || t > duration) return;
+    const idx = binIndex(t);
+    add(bins[idx], sei.vehicleSpeedMps || 0, sei.autopilotState || 0, !!sei.brakeApplied, !!(sei.blinkerOnLeft || sei.blinkerOnRight));
+    covered[idx] = 1;
+  });
+
+  const samples = getEventSummary(state.currentEventKey)?.samples || [];
+  samples.forEach((sample) => {
+    if (!(sample.t >= 0) || sample.t > duration) return;
+    const idx = binIndex(sample.t);
+    if (covered[idx]) return;
+    add(bins[idx], sample.speed || 0, sample.ap || 0, !!sample.brake, !!(sample.left || sample.right));
+  });
+  return bins;
+}
+
+export function renderSparkline() {
+  if (!canvas) return;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  const duration = state.masterDuration;
+  if (!duration || width < 1 || height < 1) return;
+
+  const bins = buildBins(Math.floor(width), duration);
+  const topSpeed = Math.max(MIN_SPEED_SCALE_MPS, ...bins.map((bin) => bin.speed));
+  const tickHeight = Math.max(3, Math.round(height * 0.25));
+  bins.forEach((bin, x) => {
+    if (bin.ap && AP_COLORS[bin.ap]) {
+      ctx.fillStyle = AP_COLORS[bin.ap];
+      ctx.fillRect(x, 0, 1, height);
+    }
+    if (bin.speed >= 0) {
+      const y = Math.round(height - (bin.speed / topSpeed) * (height - tickHeight));
+      ctx.fillStyle = SPEED_FILL;
+      ctx.fillRect(x, y, 1, height - y);
+      ctx.fillStyle = SPEED_LINE;
+      ctx.fillRect(x, y, 1, 1);
+    }
+    if (bin.brake) {
+      ctx.fillStyle = BRAKE_COLOR;
+      ctx.fillRect(x, height - tickHeight, 1, tickHeight);
+    }
+    if (bin.blinker) {
+      ctx.fillStyle = BLINKER_COLOR;
+      ctx.fillRect(x, 0, 1, tickHeight);
+    }
+  });
+}
@@ -0,0 +1,86 @@
+// Camera alignment by SEI frameSeqNo: every camera is seeked and synced to the frame carrying the
+// same sequence number as the leader's, so a frame one camera dropped near the start doesn't
+// offset it for the rest of the clip. Tables live on the drive segments as segment.seqTables.
+// The manual per-camera offsets (state.camOffsetMs) are applied on top.
+
+import { state, CAMS } from "./state.js";
+import { readFrameSequence } from "./eventIndex.js";
+
+// Used to extrapolate across sequence numbers a camera doesn't have (dropped frames)
+const NOMINAL_FRAME_SEC = 1 / 36;
+
+let runGeneration = 0;
+
+// Index of the last entry <= value, -1 when value precedes the first
+function lastAtOrBefore(sorted, value) {
+  let low = 0;
+  let high = sorted.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] <= value) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/** Manual offset of camera `cam` relative to camera `leaderCam`, in seconds */
+export function relativeOffsetSec(cam, leaderCam) {
+  return ((state.camOffsetMs[cam] || 0) - (state.camOffsetMs[leaderCam] || 0)) / 1000;
+}
+
+/**
+ * Media time at which camera `cam` shows the frame the leader camera shows at leaderTime, plus
+ * the camera's manual offset. Without tables (not read yet, or clips without SEI) every camera
+ * starts from the leader's time.
+ */
+export function alignedTime(segment, cam, leaderCam, leaderTime) {
+  if (cam === leaderCam) return leaderTime;
+  const shift = relativeOffsetSec(cam, leaderCam);
+  const lead = segment?.seqTables?.[leaderCam];
+  const own = segment?.seqTables?.[cam];
+  if (!lead?.seqs.length || !own?.seqs.length) return Math.max(0, leaderTime + shift);
+  const i = Math.max(0, lastAtOrBefore(lead.times, leaderTime));
+  const seq = lead.seqs[i];
+  const intoFrame = leaderTime - lead.times[i];
+  const j = Math.max(0, lastAtOrBefore(own.seqs, seq));
+  return Math.max(0, own.times[j] + (seq - own.seqs[j]) * NOMINAL_FRAME_SEC + intoFrame + shift);
+}
+
+/**
+ * Read every camera's frame sequence for a drive's clip sets, starting with `firstIndex`.
+ * A new drive abandons the previous run.
+ * @param {Array<Object>} segments Drive segments (seqTables is set on each)
+ * @param {Array<Object>} clipFiles Per segment: camera id -> File
+ * @param {{ firstIndex?: number, onSegmentAligned?: Function }} options
+ */
+export async function alignDriveSegments(segments, clipFiles, options = {}) {
+  const generation = ++runGeneration;
+  const first = options.firstIndex || 0;
+  const order = segments.map((_s, idx) => idx).sort((a, b) => (a === first ? -1 : b === first ? 1 : a - b));
+  for (const index of order) {
+    const files = clipFiles[index] || {};
+    const tables = [];
+    for (const cam of CAMS) {
+      const file = files[cam.id];
+      let table = null;
+      if (file) {
+        try {
+          table = await readFrameSequence(file);
+        } catch (err) {
+          console.warn("Frame sequence unreadable for", file.name, err);
+        }
+      }
+      if (generation !== runGeneration) return;
+      tables.push(table);
+    }
+    // Alignment needs at least two cameras that carry sequence numbers
+    if (tables.filter((t) => t?.seqs.length).length < 2) continue;
+    segments[index].seqTables = tables;
+    options.onSegmentAligned?.(index);
+  }
+}
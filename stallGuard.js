@@ -0,0 +1,118 @@
+// Stall guard: when one camera runs out of buffered video (large file, slow USB drive) the other
+// cameras are held until it has data again, then everything plays on together, so the stitch
+// doesn't tear. Frame-locked (WebCodecs) clip sets already wait for every camera and aren't watched.
+
+import { state, CAMS } from "./state.js";
+import { resetSync } from "./syncController.js";
+
+const bufferStatus = document.getElementById("bufferStatus");
+
+// Brief waits (every seek while playing causes one) clear before the indicator shows up
+const INDICATOR_DELAY_MS = 300;
+
+// Cameras of the current clip set that ran out of data
+const stalled = new Set();
+let indicatorTimer = null;
+
+function isActive(video) {
+  return state.videoElements.includes(video);
+}
+
+function isHeld() {
+  return [...stalled].some(isActive);
+}
+
+/** Follow a <video>'s buffering; called for every element createVideoElement makes */
+export function watchForStalls(video) {
+  video.addEventListener("waiting", () => onStall(video));
+  video.addEventListener("stalled", () => {
+    // `stalled` only says the download paused; it matters once the buffer has run dry too
+    if (video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) onStall(video);
+  });
+  video.addEventListener("playing", () => onReady(video));
+  video.addEventListener("canplay", () => onReady(video));
+  video.addEventListener("emptied", () => onGone(video));
+  video.addEventListener("play", () => {
+    // Whatever starts playback mid-hold (resume, shuttle) waits with the rest
+    if (state.isStalled && isActive(video) && !stalled.has(video)) video.pause();
+  });
+}
+
+function onStall(video) {
+  if (!isActive(video) || stalled.has(video)) return;
+  // Paused or reversing cameras aren't running ahead of anything
+  if (state.isPaused || state.isReversing || !state.isInitialized) return;
+  stalled.add(video);
+  if (!state.isStalled) hold();
+  renderBufferStatus();
+}
+
+function onReady(video) {
+  if (!stalled.has(video) || video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) return;
+  stalled.delete(video);
+  if (state.isStalled && !isHeld()) release();
+  else renderBufferStatus();
+}
+
+// Disposed elements (clip-set handoff, drive switch) no longer count
+function onGone(video) {
+  if (!stalled.delete(video)) return;
+  if (state.isStalled && !isHeld()) release();
+  else renderBufferStatus();
+}
+
+function hold() {
+  state.isStalled = true;
+  // The stalled cameras keep playing so they fire `playing` as soon as their data arrives
+  state.videoElements.forEach((v) => {
+    if (v && !stalled.has(v)) v.pause();
+  });
+  clearTimeout(indicatorTimer);
+  indicatorTimer = setTimeout(() => {
+    indicatorTimer = null;
+    renderBufferStatus();
+  }, INDICATOR_DELAY_MS);
+}
+
+function release() {
+  state.isStalled = false;
+  clearTimeout(indicatorTimer);
+  indicatorTimer = null;
+  renderBufferStatus();
+  if (state.isPaused || state.isReversing || !state.isInitialized) return;
+  resetSync();
+  state.videoElements.forEach((v) => v?.play().catch(() => {}));
+}
+
+/** Forget held cameras without resuming them (drive switch or teardown) */
+export function resetStallGuard() {
+  stalled.clear();
+  state.isStalled = false;
+  clearTimeout(indicatorTimer);
+  indicatorTimer = null;
+  renderBufferStatus();
+}
+
+function renderBufferStatus() {
+  if (!bufferStatus) return;
+  if (!state.isStalled || indicatorTimer) {
+    bufferStatus.classList.add("hidden");
+    return;
+  }
+  bufferStatus.innerHTML = "";
+  const title = document.createElement("span");
+  title.className = "buffer-status-title";
+  title.textContent = "Buffering";
+  bufferStatus.appendChild(title);
+  CAMS.forEach((cam, idx) => {
+    const video = state.videoElements[idx];
+    if (!video) return;
+    const chip = document.createElement("span");
+    const waiting = stalled.has(video);
+    chip.className = `buffer-chip${waiting ? " waiting" : ""}`;
+    chip.textContent = cam.id.replace("_", " ");
+    chip.title = waiting ? "Loading video…" : "Ready, held for the others";
+    bufferStatus.appendChild(chip);
+  });
+  bufferStatus.classList.remove("hidden");
+}
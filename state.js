@@ -13,14 +13,21 @@ export const state = {
   currentYawDeg: [],
   currentFovHDeg: [],
   enabledFlags: [],
+  camOffsetMs: [], // manual per-camera time offset (ms, + = that camera shows later footage)
   yawInputs: [],
   yawValues: [],
   fovInputs: [],
   fovValues: [],
   toggleInputs: [],
+  offsetInputs: [],
+  offsetValues: [],
   objectUrls: [],
   eventMap: new Map(),
   dateEventMap: new Map(),
+  unmatchedFiles: [], // .mp4 records whose names don't follow Tesla's <timestamp>-<camera>.mp4 pattern
+  libraryHandle: null, // FileSystemDirectoryHandle when the library came from the folder picker
+  categoryFilter: "all", // 'all' or a library category ('SentryClips', 'SavedClips', 'RecentClips')
+  reviewFilter: "all", // 'all', a review status or 'tag:<name>'
   calendarInstance: null,
   calendarSelectedDate: null,
   currentEventKey: null,
@@ -36,6 +43,19 @@ export const state = {
   animationHandle: null,
   masterDuration: 0,
   leaderIndex: -1,
+  // Multi-clip drive timeline: [{ prefix, sources: [url per cam], offset, duration }]
+  driveSegments: [],
+  segmentIndex: 0,
+  preloadedSegment: null, // { index, elements } buffered ahead of the handoff
+  isSwitchingSegment: false,
+  playbackRate: 1, // user-selected speed; the sync controller nudges followers around it
+  loopRange: null, // { start, end } on the drive timeline while an A-B loop runs
+  loopSlowdown: 1, // speed multiplier applied inside the A-B loop
+  isReversing: false, // reverse shuttle: videos held paused and stepped backwards by transport.js
+  useWebCodecs: false, // decode clip sets with WebCodecs (frame-locked) instead of <video>
+  isSwitchingDrive: false, // another event is loading into the running scene
+  isStalled: false, // a camera ran out of buffered video and stallGuard.js holds the others
+  preloadedDrive: null, // { segments, elements } for the next playlist event
   isSeeking: false,
   presets: [],
   telemetryFrames: [],
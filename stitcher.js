@@ -3,21 +3,49 @@ import { OrbitControls } from "./OrbitControls.js";
 import { state, CAMS, RAD } from "./state.js";
 import { updateVisForCurrentTime, getCurrentSpeed } from "./telemetry.js";
 import { calculateCameraMotion, applySphereMotion, resetMotionEffects, calculateAutoSteerYaw } from "./motionEffects.js";
+import { startSync, stopSync, resetSync } from "./syncController.js";
+import { enforceLoop } from "./abLoop.js";
+import { hasWebCodecs, createFrameLockedElements } from "./webCodecsPipeline.js";
+import { alignedTime, relativeOffsetSec } from "./seqAlign.js";
+import { watchForStalls, resetStallGuard } from "./stallGuard.js";
+
+// Set when a WebCodecs clip set failed to load; <video> is used for the rest of the session
+let frameLockedFailed = false;
+
+/** Whether new clip sets are decoded through WebCodecs (state.useWebCodecs and browser support) */
+function isFrameLockedActive() {
+  return state.useWebCodecs && hasWebCodecs && !frameLockedFailed;
+}
 
-function createVideoElement(src) {
+function createVideoElement(src, preload = "auto") {
   const video = document.createElement("video");
   video.src = src;
   video.crossOrigin = "anonymous";
   video.playsInline = true;
   video.muted = true;
-  video.loop = true;
-  video.preload = "auto";
+  video.preload = preload;
   video.style.display = "none";
+  watchForStalls(video);
   document.body.appendChild(video);
   return video;
 }
 
+function disposeVideoElement(video) {
+  if (!video) return;
+  if (video.frameLocked) {
+    video.dispose();
+    return;
+  }
+  video.pause();
+  video.removeAttribute("src");
+  video.load();
+  video.remove();
+}
+
 function waitForCanPlay(video) {
+  if (video.readyState >= HTMLMediaElement.HAVE_ENOUGH_DATA) return Promise.resolve();
+  // A preloaded set may have failed before anyone listened; its error event is already gone
+  if (video.error) return Promise.reject(new Error(`Failed to load ${video.src}`));
   return new Promise((resolve, reject) => {
     const onCanPlay = () => {
       cleanup();
@@ -36,29 +64,66 @@ function waitForCanPlay(video) {
   });
 }
 
+// Read a clip's duration from its metadata without buffering the media
+function probeDuration(src) {
+  return new Promise((resolve) => {
+    const video = createVideoElement(src, "metadata");
+    const finish = (duration) => {
+      disposeVideoElement(video);
+      resolve(Number.isFinite(duration) ? duration : 0);
+    };
+    video.addEventListener("loadedmetadata", () => finish(video.duration), { once: true });
+    video.addEventListener("error", () => finish(0), { once: true });
+  });
+}
+
 function computeVerticalFov(hfovRad, aspect) {
   return 2 * Math.atan(Math.tan(hfovRad / 2) / aspect);
 }
 
+function createVideoTexture(video) {
+  if (!video) return state.transparentTexture;
+  let tex;
+  if (video.frameLocked) {
+    tex = new THREE.VideoFrameTexture();
+    if (video.frame) tex.setFrame(video.frame);
+  } else {
+    tex = new THREE.VideoTexture(video);
+  }
+  tex.minFilter = THREE.LinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.generateMipmaps = false;
+  tex.wrapS = THREE.ClampToEdgeWrapping;
+  tex.wrapT = THREE.ClampToEdgeWrapping;
+  return tex;
+}
+
+function disposeVideoTextures() {
+  state.videoTextures.forEach((tex) => {
+    if (tex && tex !== state.transparentTexture) tex.dispose();
+  });
+  state.videoTextures = [];
+}
+
+// Point the shader samplers at the current segment's video elements
+function bindVideoTextures() {
+  disposeVideoTextures();
+  state.videoTextures = state.videoElements.map(createVideoTexture);
+  if (!state.material?.uniforms) return;
+  state.videoTextures.forEach((tex, idx) => {
+    state.material.uniforms[`cam${idx}`].value = tex;
+  });
+}
+
 function buildTexturesAndUniforms() {
   if (!state.transparentTexture) {
     state.transparentTexture = new THREE.DataTexture(new Uint8Array([0, 0, 0, 0]), 1, 1);
     state.transparentTexture.needsUpdate = true;
   }
 
-  state.videoTextures = state.videoElements.map((video) => {
-    if (video) {
-      const tex = new THREE.VideoTexture(video);
-      tex.minFilter = THREE.LinearFilter;
-      tex.magFilter = THREE.LinearFilter;
-      tex.colorSpace = THREE.SRGBColorSpace;
-      tex.generateMipmaps = false;
-      tex.wrapS = THREE.ClampToEdgeWrapping;
-      tex.wrapT = THREE.ClampToEdgeWrapping;
-      return tex;
-    }
-    return state.transparentTexture;
-  });
+  disposeVideoTextures();
+  state.videoTextures = state.videoElements.map(createVideoTexture);
 
   const yawArr = CAMS.map((c) => RAD(c.yawDeg));
   const fovHArr = CAMS.map((c) => RAD(c.fovH));
@@ -79,31 +144,288 @@ function buildTexturesAndUniforms() {
   };
 }
 
-export async function loadVideos(seekSlider, currentTimeLabel, durationTimeLabel, setStatus) {
-  setStatus("Loading videos…");
-  state.videoElements = CAMS.map((cam, idx) => {
-    if (state.enabledFlags[idx] && cam.file) {
-      return createVideoElement(cam.file);
+function createSegmentElements(segment, enabledFlags = state.enabledFlags) {
+  if (isFrameLockedActive()) {
+    return createFrameLockedElements(CAMS.map((_cam, idx) => (enabledFlags[idx] && segment?.sources[idx]) || ""));
+  }
+  return CAMS.map((_cam, idx) => {
+    const src = segment?.sources[idx];
+    if (enabledFlags[idx] && src) {
+      return createVideoElement(src);
     }
     return null;
   });
+}
+
+function disposePreloadedSegment() {
+  if (!state.preloadedSegment) return;
+  state.preloadedSegment.elements.forEach(disposeVideoElement);
+  state.preloadedSegment = null;
+}
+
+// Start buffering the next segment so the handoff doesn't stall on a fresh load
+function preloadSegment(index) {
+  if (state.preloadedSegment?.index === index) return;
+  disposePreloadedSegment();
+  if (index < 0 || index >= state.driveSegments.length) return;
+  state.preloadedSegment = { index, elements: createSegmentElements(state.driveSegments[index]) };
+}
+
+function takeSegmentElements(index) {
+  if (state.preloadedSegment?.index === index) {
+    const { elements } = state.preloadedSegment;
+    state.preloadedSegment = null;
+    return elements;
+  }
+  return createSegmentElements(state.driveSegments[index]);
+}
+
+function disposePreloadedDrive() {
+  if (!state.preloadedDrive) return;
+  state.preloadedDrive.elements.forEach(disposeVideoElement);
+  state.preloadedDrive = null;
+}
+
+/**
+ * Buffer another drive's first clip set and read its clip durations ahead of switching to it
+ * (playlist auto-advance), so the switch starts from videos that can already play.
+ */
+export async function preloadDrive(segments, enabledFlags) {
+  disposePreloadedDrive();
+  const entry = { segments, elements: createSegmentElements(segments[0], enabledFlags) };
+  state.preloadedDrive = entry;
+  if (segments.length > 1) {
+    for (const segment of segments) {
+      if (state.preloadedDrive !== entry) return;
+      const src = segment.sources.find(Boolean);
+      if (!segment.duration && src) segment.duration = await probeDuration(src);
+    }
+  }
+}
+
+/** Drop a preloaded drive that won't be played (only if it is still the one for these segments) */
+export function discardPreloadedDrive(segments) {
+  if (state.preloadedDrive?.segments === segments) disposePreloadedDrive();
+}
+
+function takeDriveElements() {
+  if (state.preloadedDrive?.segments === state.driveSegments) {
+    const { elements } = state.preloadedDrive;
+    state.preloadedDrive = null;
+    return elements;
+  }
+  disposePreloadedDrive();
+  return takeSegmentElements(0);
+}
+
+export function findSegmentIndex(driveTime) {
+  const segments = state.driveSegments;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (driveTime >= segments[i].offset) return i;
+  }
+  return 0;
+}
+
+async function resolveSegmentTimeline(setStatus) {
+  const segments = state.driveSegments;
+  if (segments.length > 1) {
+    setStatus(`Reading ${segments.length} clips…`);
+    for (const segment of segments) {
+      // Durations read while preloading are kept
+      if (segment.duration) continue;
+      const src = segment.sources.find(Boolean);
+      segment.duration = src ? await probeDuration(src) : 0;
+    }
+  }
+  let offset = 0;
+  segments.forEach((segment) => {
+    segment.offset = offset;
+    offset += segment.duration || 0;
+  });
+}
+
+// Put each camera of a clip set on the frame matching the leader's at localTime. Frame-locked
+// cameras share one clock, so only the leader is told; the others just take their offset.
+function seekElements(elements, segment, localTime) {
+  const leaderIdx = elements.findIndex((v) => v);
+  elements.forEach((video, idx) => {
+    if (video?.frameLocked) video.timeOffset = relativeOffsetSec(idx, leaderIdx);
+  });
+  elements.forEach((video, idx) => {
+    if (!video || (video.frameLocked && idx !== leaderIdx)) return;
+    video.currentTime = alignedTime(segment, idx, leaderIdx, localTime);
+  });
+}
 
-  const playable = state.videoElements.filter(Boolean);
-  await Promise.all(playable.map(waitForCanPlay));
+/** Current playback position on the drive timeline (seconds) */
+export function getDriveTime() {
+  const leader = state.videoElements[state.leaderIndex];
+  const segment = state.driveSegments[state.segmentIndex];
+  if (!leader || !segment) return 0;
+  return segment.offset + (leader.currentTime || 0);
+}
 
-  state.leaderIndex = state.videoElements.findIndex((v) => v);
-  const durations = playable.map((v) => v.duration || 0).filter((d) => d > 0);
-  state.masterDuration = durations.length ? Math.min(...durations) : 0;
-  if (seekSlider) {
-    seekSlider.max = state.masterDuration || 0;
-    seekSlider.value = 0;
+/**
+ * Wait until a clip set can play. A WebCodecs set that fails (unsupported codec, unreadable
+ * sample table) is replaced with <video> elements and the pipeline is off for the session.
+ */
+async function readyElements(elements, segment) {
+  try {
+    await Promise.all(elements.filter(Boolean).map(waitForCanPlay));
+    return elements;
+  } catch (err) {
+    if (!elements.some((v) => v?.frameLocked)) throw err;
+    console.warn("Falling back to <video> playback", err);
+    frameLockedFailed = true;
+    elements.forEach(disposeVideoElement);
+    const fallback = createSegmentElements(segment, elements.map(Boolean));
+    await Promise.all(fallback.filter(Boolean).map(waitForCanPlay));
+    return fallback;
   }
-  if (currentTimeLabel) currentTimeLabel.textContent = "00:00";
-  if (durationTimeLabel) durationTimeLabel.textContent = formatTime(state.masterDuration);
-  setStatus("Syncing & starting playback…");
+}
+
+async function activateSegment(index, localTime) {
+  state.isSwitchingSegment = true;
+  try {
+    const segment = state.driveSegments[index];
+    const elements = await readyElements(takeSegmentElements(index), segment);
+    const playable = elements.filter(Boolean);
+    // The drive may have been torn down or replaced while we were buffering
+    if (state.driveSegments[index] !== segment || !state.isInitialized) {
+      elements.forEach(disposeVideoElement);
+      return;
+    }
+    seekElements(elements, segment, localTime);
+
+    const previous = state.videoElements;
+    state.videoElements = elements;
+    state.segmentIndex = index;
+    state.leaderIndex = elements.findIndex((v) => v);
+    bindVideoTextures();
+    startSync();
+    // Reverse keeps the cameras paused and seeks them itself
+    if (!state.isPaused && !state.isReversing) {
+      await Promise.all(playable.map((v) => v.play().catch(() => {})));
+    }
+    previous.forEach(disposeVideoElement);
+    preloadSegment(index + 1);
+  } finally {
+    state.isSwitchingSegment = false;
+  }
+}
+
+/** Seek every camera to a position on the drive timeline, switching clip sets if needed */
+export function seekDrive(driveTime) {
+  if (!state.driveSegments.length) return Promise.resolve();
+  const clamped = Math.max(0, Math.min(state.masterDuration || 0, driveTime));
+  const index = findSegmentIndex(clamped);
+  const localTime = clamped - state.driveSegments[index].offset;
+  if (index === state.segmentIndex) {
+    seekElements(state.videoElements, state.driveSegments[index], localTime);
+    resetSync();
+    return Promise.resolve();
+  }
+  return activateSegment(index, localTime);
+}
+
+let driveEndHandler = null;
+
+/**
+ * Register a callback for the end of the last clip set. Returning something truthy means it took
+ * over (e.g. a playlist started the next event); otherwise the drive wraps to the start. A returned
+ * promise that resolves false or rejects means the next drive never started loading.
+ */
+export function setDriveEndHandler(handler) {
+  driveEndHandler = handler;
+}
+
+// Called when the leader reaches the end of its clip: hand off to the next set, or wrap the drive
+function advanceSegment() {
+  const next = state.segmentIndex + 1;
+  if (next < state.driveSegments.length) {
+    activateSegment(next, 0).catch((err) => console.error("Segment handoff failed", err));
+    return;
+  }
+  const takeover = driveEndHandler?.();
+  if (takeover) {
+    // Hold off further end-of-drive handling until the next drive has loaded
+    state.isSwitchingSegment = true;
+    Promise.resolve(takeover).catch(() => false).then((started) => {
+      // Nothing is going to load and clear the flag, so don't leave the drive stuck at its end
+      if (started === false && !state.isSwitchingDrive) state.isSwitchingSegment = false;
+    });
+    return;
+  }
+  seekDrive(0).then(() => {
+    if (!state.isPaused) state.videoElements.forEach((v) => v?.play().catch(() => {}));
+  });
+}
+
+/**
+ * Freeze the current picture while another drive loads into the same scene. The renderer and
+ * material stay up, so switching events doesn't drop to a black canvas between teardown and init.
+ */
+export function beginDriveSwitch() {
+  stopSync();
+  state.isSwitchingDrive = true;
+  state.isReversing = false;
+  state.isInitialized = false;
+  resetStallGuard();
+  state.videoElements.forEach((v) => v?.pause());
+  disposePreloadedSegment();
+  resetMotionEffects();
+}
 
-  for (const video of playable) video.currentTime = 0;
-  await Promise.all(playable.map((v) => v.play().catch(() => {})));
+/**
+ * Load state.driveSegments and start playback.
+ * Resolves false when another drive replaced this one while it was buffering.
+ */
+export async function loadVideos(seekSlider, currentTimeLabel, durationTimeLabel, setStatus) {
+  const segments = state.driveSegments;
+  try {
+    setStatus("Loading videos…");
+    await resolveSegmentTimeline(setStatus);
+
+    const elements = await readyElements(takeDriveElements(), segments[0]);
+    const playable = elements.filter(Boolean);
+    if (state.driveSegments !== segments) {
+      elements.forEach(disposeVideoElement);
+      return false;
+    }
+
+    // Swap out the previous drive's videos only now that the new ones can play
+    const previous = state.videoElements;
+    state.videoElements = elements;
+    state.segmentIndex = 0;
+    state.leaderIndex = elements.findIndex((v) => v);
+    if (state.material) bindVideoTextures();
+    previous.forEach(disposeVideoElement);
+
+    if (segments.length === 1) {
+      const durations = playable.map((v) => v.duration || 0).filter((d) => d > 0);
+      segments[0].duration = durations.length ? Math.min(...durations) : 0;
+    }
+    const last = segments[segments.length - 1];
+    state.masterDuration = last ? last.offset + last.duration : 0;
+    if (seekSlider) {
+      seekSlider.max = state.masterDuration || 0;
+      seekSlider.value = 0;
+    }
+    if (currentTimeLabel) currentTimeLabel.textContent = "00:00";
+    if (durationTimeLabel) durationTimeLabel.textContent = formatTime(state.masterDuration);
+    setStatus("Syncing & starting playback…");
+
+    seekElements(elements, segments[0], 0);
+    await Promise.all(playable.map((v) => v.play().catch(() => {})));
+    startSync();
+    preloadSegment(1);
+    return true;
+  } finally {
+    if (state.driveSegments === segments) {
+      state.isSwitchingDrive = false;
+      state.isSwitchingSegment = false;
+    }
+  }
 }
 
 export function initThree(viewerEl) {
@@ -174,8 +496,14 @@ export function renderLoop(seekSlider, currentTimeLabel, formatTimeFn) {
   state.controls.update();
   
   // Get current playback time and update telemetry
-  if (!state.isSeeking && state.leaderIndex >= 0 && state.videoElements[state.leaderIndex]) {
-    const t = state.videoElements[state.leaderIndex].currentTime || 0;
+  const leader = state.videoElements[state.leaderIndex];
+  // The WebCodecs clock advances here, once per rendered frame, for all cameras together
+  if (leader?.frameLocked) leader.tick(performance.now());
+  syncFrameTextures();
+  if (!state.isSeeking && !state.isSwitchingDrive && leader) {
+    if (leader.ended && !state.isSwitchingSegment && !state.isReversing) advanceSegment();
+    const t = getDriveTime();
+    enforceLoop(t);
     if (seekSlider) seekSlider.value = t;
     if (currentTimeLabel) currentTimeLabel.textContent = formatTimeFn(t);
     updateVisForCurrentTime(t);
@@ -193,6 +521,59 @@ export function renderLoop(seekSlider, currentTimeLabel, formatTimeFn) {
   state.renderer.render(state.scene, state.camera);
 }
 
+/**
+ * Turn the view to face a camera's yaw (degrees), keeping pitch and zoom. The shader centres a
+ * camera with yaw ψ on world direction (cos ψ, 0, -sin ψ), turned further by the sphere's own
+ * (auto-steer) rotation; OrbitControls measures azimuth from +Z towards +X on the camera offset.
+ */
+export function lookAtYaw(yawDeg) {
+  if (!state.camera || !state.controls) return;
+  const yaw = RAD(yawDeg) + (state.sphere?.rotation.y || 0);
+  setOrbitAngles(Math.atan2(-Math.cos(yaw), Math.sin(yaw)), state.controls.getPolarAngle());
+}
+
+/** Inverse of lookAtYaw: the camera yaw (degrees) the view currently faces */
+export function viewYawDeg() {
+  if (!state.controls) return 0;
+  const yaw = state.controls.getAzimuthalAngle() + Math.PI / 2 - (state.sphere?.rotation.y || 0);
+  return ((((yaw * 180) / Math.PI) % 360) + 360) % 360;
+}
+
+/** Place the view at an OrbitControls azimuth/polar angle (radians), keeping the zoom */
+export function setOrbitAngles(azimuth, polar) {
+  if (!state.camera || !state.controls) return;
+  const radius = state.camera.position.distanceTo(state.controls.target);
+  state.camera.position.set(
+    state.controls.target.x + radius * Math.sin(polar) * Math.sin(azimuth),
+    state.controls.target.y + radius * Math.cos(polar),
+    state.controls.target.z + radius * Math.sin(polar) * Math.cos(azimuth)
+  );
+  state.controls.update();
+}
+
+// Frame-locked cameras hand over a new VideoFrame whenever the group presents the next index
+function syncFrameTextures() {
+  state.videoElements.forEach((video, idx) => {
+    const tex = state.videoTextures[idx];
+    if (video?.frameLocked && video.frame && tex && tex.image !== video.frame) tex.setFrame(video.frame);
+  });
+}
+
+/** Draw one frame while the render loop is stopped, e.g. after a frame step while paused */
+export function renderStill() {
+  if (!state.renderer || state.animationHandle) return;
+  requestAnimationFrame(() => {
+    if (state.animationHandle) return;
+    // Paused videos don't signal new frames reliably, so force the upload
+    state.videoTextures.forEach((tex) => {
+      if (tex && tex !== state.transparentTexture) tex.needsUpdate = true;
+    });
+    syncFrameTextures();
+    state.controls.update();
+    state.renderer.render(state.scene, state.camera);
+  });
+}
+
 export function pauseExperience(setStatus) {
   state.videoElements.forEach((v) => v?.pause());
   if (state.animationHandle) {
@@ -215,11 +596,16 @@ export function teardownExperience() {
     cancelAnimationFrame(state.animationHandle);
     state.animationHandle = null;
   }
-  state.videoElements.forEach((v) => v?.pause());
+  stopSync();
+  resetStallGuard();
+  state.videoElements.forEach(disposeVideoElement);
   state.videoElements = [];
-  state.videoTextures = [];
+  disposePreloadedSegment();
+  disposePreloadedDrive();
+  disposeVideoTextures();
   state.masterDuration = 0;
   state.leaderIndex = -1;
+  state.segmentIndex = 0;
   if (state.renderer) {
     state.renderer.domElement?.parentNode?.removeChild(state.renderer.domElement);
     state.renderer.dispose();
@@ -0,0 +1,161 @@
+// Keeps the follower cameras locked to the leader video (on the frame with the leader's SEI
+// frameSeqNo once seqAlign.js has read the clips).
+// Each presented leader frame (requestVideoFrameCallback) measures every follower's drift; small
+// drift is absorbed with playbackRate nudges, large drift with a hard re-seek.
+
+import { state, CAMS } from "./state.js";
+import { alignedTime } from "./seqAlign.js";
+
+const syncDebug = document.getElementById("syncDebug");
+
+const NUDGE_THRESHOLD_SEC = 0.02; // under ~half a frame at 36 fps: leave it alone
+const HARD_SEEK_THRESHOLD_SEC = 0.25;
+const MAX_RATE_NUDGE = 0.1; // +/-10% of the base rate
+const NUDGE_GAIN = 0.5; // rate change per second of drift
+const DRIFT_SMOOTHING = 0.2;
+const SEEK_COOLDOWN_MS = 1000;
+const FALLBACK_INTERVAL_MS = 100;
+const DEBUG_INTERVAL_MS = 250;
+// playbackRate range browsers accept (Chrome throws NotSupportedError outside it)
+const MIN_MEDIA_RATE = 0.0625;
+const MAX_MEDIA_RATE = 16;
+
+let leader = null;
+let frameHandle = null;
+let fallbackTimer = null;
+// Per camera index: smoothed drift (s, + = ahead of the leader) and last hard seek time
+let drift = [];
+let lastSeekAt = [];
+let lastDebugAt = 0;
+let debugVisible = false;
+
+const hasFrameCallback = typeof HTMLVideoElement !== "undefined" && "requestVideoFrameCallback" in HTMLVideoElement.prototype;
+
+/**
+ * Base rate the nudges are applied around: the user's speed, slowed inside an A-B loop. Kept in
+ * the range browsers play at, so 0.1x with a 0.1x loop runs at the minimum instead of throwing.
+ */
+export function baseRate() {
+  const slowdown = state.loopRange ? state.loopSlowdown || 1 : 1;
+  return Math.max(MIN_MEDIA_RATE, Math.min(MAX_MEDIA_RATE, (state.playbackRate || 1) * slowdown));
+}
+
+// Clamped and guarded: a rejected rate must not throw out of the frame callback and stop correction
+function setRate(video, rate) {
+  const clamped = Math.max(MIN_MEDIA_RATE, Math.min(MAX_MEDIA_RATE, rate));
+  if (video.playbackRate === clamped) return;
+  try {
+    video.playbackRate = clamped;
+  } catch (err) {
+    console.warn("playbackRate rejected", clamped, err);
+  }
+}
+
+/** (Re)attach to the current leader; call whenever state.videoElements is replaced */
+export function startSync() {
+  stopSync();
+  leader = state.videoElements[state.leaderIndex] || null;
+  if (!leader) return;
+  drift = state.videoElements.map(() => 0);
+  lastSeekAt = state.videoElements.map(() => 0);
+  // Fresh clip sets start at the base rate (the selected speed), without nudges
+  resetSync();
+  // WebCodecs cameras share one clock: there is no drift to correct
+  if (leader.frameLocked) {
+    leader = null;
+    return;
+  }
+  if (hasFrameCallback) {
+    const attached = leader;
+    const onFrame = (now, metadata) => {
+      if (leader !== attached) return;
+      measureAndCorrect(metadata.mediaTime + Math.max(0, performance.now() - metadata.expectedDisplayTime) / 1000 * baseRate());
+      frameHandle = attached.requestVideoFrameCallback(onFrame);
+    };
+    frameHandle = attached.requestVideoFrameCallback(onFrame);
+  } else {
+    fallbackTimer = setInterval(() => {
+      if (leader && !leader.paused) measureAndCorrect(leader.currentTime);
+    }, FALLBACK_INTERVAL_MS);
+  }
+}
+
+export function stopSync() {
+  if (leader && frameHandle !== null && hasFrameCallback) leader.cancelVideoFrameCallback(frameHandle);
+  clearInterval(fallbackTimer);
+  fallbackTimer = null;
+  frameHandle = null;
+  leader = null;
+}
+
+/** Put every follower exactly on the leader (after a seek or a rate change) */
+export function resetSync() {
+  drift = drift.map(() => 0);
+  state.videoElements.forEach((video) => {
+    if (video) setRate(video, baseRate());
+  });
+}
+
+function measureAndCorrect(leaderTime) {
+  // Seeks, clip-set handoffs and the reverse shuttle move every camera anyway; a stall holds them
+  if (
+    state.isSeeking ||
+    state.isSwitchingSegment ||
+    state.isSwitchingDrive ||
+    state.isPaused ||
+    state.isReversing ||
+    state.isStalled
+  ) {
+    return;
+  }
+  const rate = baseRate();
+  const nowMs = performance.now();
+  const segment = state.driveSegments[state.segmentIndex];
+  state.videoElements.forEach((video, idx) => {
+    if (!video || idx === state.leaderIndex) return;
+    if (video.seeking || video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA || video.ended) return;
+    // Where this camera should be: the frame with the leader's sequence number
+    const target = alignedTime(segment, idx, state.leaderIndex, leaderTime);
+    const raw = video.currentTime - target;
+    drift[idx] = drift[idx] + (raw - drift[idx]) * DRIFT_SMOOTHING;
+
+    if (Math.abs(raw) > HARD_SEEK_THRESHOLD_SEC) {
+      if (nowMs - lastSeekAt[idx] > SEEK_COOLDOWN_MS) {
+        lastSeekAt[idx] = nowMs;
+        video.currentTime = target;
+        setRate(video, rate);
+        drift[idx] = 0;
+      }
+      return;
+    }
+    if (Math.abs(drift[idx]) < NUDGE_THRESHOLD_SEC) {
+      setRate(video, rate);
+      return;
+    }
+    // Ahead -> slow down a little, behind -> speed up
+    const nudge = Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, -drift[idx] * NUDGE_GAIN));
+    setRate(video, rate * (1 + nudge));
+  });
+  if (debugVisible && nowMs - lastDebugAt > DEBUG_INTERVAL_MS) {
+    lastDebugAt = nowMs;
+    renderDebug();
+  }
+}
+
+export function setSyncDebugVisible(visible) {
+  debugVisible = visible;
+  syncDebug?.classList.toggle("hidden", !visible);
+  if (visible) renderDebug();
+}
+
+function renderDebug() {
+  if (!syncDebug) return;
+  const lines = CAMS.map((cam, idx) => {
+    const video = state.videoElements[idx];
+    if (!video) return `${cam.id.padEnd(15)}   —`;
+    if (idx === state.leaderIndex) return `${cam.id.padEnd(15)} leader`;
+    const ms = Math.round((drift[idx] || 0) * 1000);
+    return `${cam.id.padEnd(15)} ${ms >= 0 ? "+" : ""}${ms} ms  x${video.playbackRate.toFixed(2)}`;
+  });
+  syncDebug.textContent = `Sync drift${hasFrameCallback ? "" : " (timer fallback)"}\n${lines.join("\n")}`;
+}
@@ -1,5 +1,6 @@
 import { state } from "./state.js";
 import { updateGForceFromTelemetry, updateSteeringFromTelemetry } from "./motionEffects.js";
+import { scheduleSparkline } from "./seekSparkline.js";
 
 // DOM Elements
 const dashboardVis = document.getElementById("dashboardVis");
@@ -31,7 +32,6 @@ const valAccZ = document.getElementById("valAccZ");
 
 let SeiMetadata = null;
 let enumFields = null;
-let mp4Parser = null;
 
 const MPS_TO_MPH = 2.23694;
 
@@ -66,14 +66,16 @@ export async function initTelemetry() {
   setupUI();
 }
 
+export function toggleTelemetryOverlay() {
+  dashboardVis.classList.toggle("hidden");
+  const isHidden = dashboardVis.classList.contains("hidden");
+  if (telemetryToggle) telemetryToggle.style.opacity = isHidden ? "0.5" : "1";
+}
+
 function setupUI() {
   // Toggle Visibility
   if (telemetryToggle) {
-    telemetryToggle.addEventListener("click", () => {
-      dashboardVis.classList.toggle("hidden");
-      const isHidden = dashboardVis.classList.contains("hidden");
-      telemetryToggle.style.opacity = isHidden ? "0.5" : "1";
-    });
+    telemetryToggle.addEventListener("click", toggleTelemetryOverlay);
   }
 
   // Toggle Extra Data
@@ -127,46 +129,66 @@ function setupUI() {
   }
 }
 
-export async function loadTelemetryForFile(file) {
-  if (!file || !SeiMetadata) return;
-
-  console.log("Telemetry: Parsing file", file.name);
-  try {
-    const buffer = await file.arrayBuffer();
-    mp4Parser = new window.DashcamMP4(buffer);
-    const frames = mp4Parser.parseFrames(SeiMetadata);
-    state.telemetryFrames = frames;
-
-    // Build time index
-    const config = mp4Parser.getConfig();
-    let time = 0;
-    const frameTimes = [];
-    // durations are in ms
-    config.durations.forEach((d) => {
-      frameTimes.push(time);
-      time += d / 1000;
-    });
-
-    // Store frameTimes in state for motion effects to access
-    state.frameTimes = frameTimes;
+// Bumped on every load so a slow parse for a previous drive can't overwrite the current one
+let loadGeneration = 0;
+
+async function parseTelemetryFile(file) {
+  // Read straight from the file: moov, the SEI NAL units and each frame's NAL header; slice data
+  // is skipped, so the clip isn't held in memory a second time next to the <video> element
+  const mp4Parser = await window.DashcamMP4.fromBlob(file);
+  const frames = await mp4Parser.streamSeiFrames(SeiMetadata);
+
+  // Build time index (durations are in ms)
+  const config = mp4Parser.getConfig();
+  let time = 0;
+  const frameTimes = [];
+  config.durations.forEach((d) => {
+    frameTimes.push(time);
+    time += d / 1000;
+  });
+  return { frames, frameTimes };
+}
 
-    // Ensure we have times for all frames
-    if (frameTimes.length < frames.length) {
-       // If durations are missing, assume 30fps?
-       // Usually config.durations matches frame count or is close.
-    }
-    
-    // Show overlay if hidden? Or let user toggle. 
-    // Maybe auto-show if data found.
-    if (frames.length > 0) {
+/**
+ * Parse telemetry for every clip of a drive and concatenate it onto one time axis.
+ * @param {Array<File|null>} files Front-camera clip per segment (null when missing)
+ * @param {number[]} offsets Start of each segment on the drive timeline (seconds)
+ */
+export async function loadTelemetryForFiles(files, offsets) {
+  const generation = ++loadGeneration;
+  state.telemetryFrames = [];
+  state.frameTimes = [];
+  scheduleSparkline();
+  if (!SeiMetadata) return;
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    if (!file) continue;
+    console.log("Telemetry: Parsing file", file.name);
+    try {
+      const { frames, frameTimes } = await parseTelemetryFile(file);
+      if (generation !== loadGeneration) return;
+
+      // Append in place so the segments already parsed are usable while the rest load
+      // Frames and times must stay index-aligned across segments, so trim to the shorter list
+      const offset = offsets[i] || 0;
+      const base = state.telemetryFrames.length;
+      const count = Math.min(frames.length, frameTimes.length);
+      for (let j = 0; j < count; j++) {
+        state.telemetryFrames.push({ ...frames[j], index: base + j });
+        state.frameTimes.push(offset + frameTimes[j]);
+      }
+      scheduleSparkline();
+
+      // Show overlay if hidden? Or let user toggle.
+      // Maybe auto-show if data found.
+      if (frames.length > 0) {
         dashboardVis.classList.remove("hidden");
+      }
+      console.log(`Telemetry: Loaded ${frames.length} frames`);
+    } catch (err) {
+      console.error("Telemetry: Error parsing file", err);
     }
-
-    console.log(`Telemetry: Loaded ${frames.length} frames`);
-  } catch (err) {
-    console.error("Telemetry: Error parsing file", err);
-    state.telemetryFrames = [];
-    state.frameTimes = [];
   }
 }
 
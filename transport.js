@@ -0,0 +1,216 @@
+// Transport: playback speed, reverse shuttle and single-frame steps, applied to every camera at once
+
+import { state } from "./state.js";
+import { resetSync, baseRate } from "./syncController.js";
+
+const speedSelect = document.getElementById("speedSelect");
+const reverseBtn = document.getElementById("reverseBtn");
+const frameBackBtn = document.getElementById("frameBackBtn");
+const frameForwardBtn = document.getElementById("frameForwardBtn");
+
+export const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 16];
+
+// Tesla records ~36 fps; used when the drive has no frame table (no front clip / no telemetry yet)
+const FALLBACK_FRAME_SEC = 1 / 36;
+// Land just after a frame's start so the decoder doesn't round back to the previous one
+const FRAME_EPSILON_SEC = 0.001;
+
+let reverseHandle = null;
+let callbacks = {
+  seek: async () => {},
+  getTime: () => 0,
+  pause: () => {},
+  resume: () => {},
+  renderStill: () => {},
+  setStatus: () => {},
+};
+
+export function initTransport(options) {
+  callbacks = { ...callbacks, ...options };
+  if (speedSelect) {
+    speedSelect.innerHTML = PLAYBACK_SPEEDS.map((rate) => `<option value="${rate}">${rate}x</option>`).join("");
+    speedSelect.value = String(state.playbackRate);
+    speedSelect.addEventListener("change", (e) => setPlaybackSpeed(parseFloat(e.target.value)));
+  }
+  reverseBtn?.addEventListener("click", () => {
+    if (state.isReversing) playForward();
+    else playReverse();
+  });
+  frameBackBtn?.addEventListener("click", () => stepFrame(-1));
+  frameForwardBtn?.addEventListener("click", () => stepFrame(1));
+  renderTransport();
+}
+
+/** Set the speed for every camera; the sync controller keeps nudging around it */
+export function setPlaybackSpeed(rate) {
+  const clamped = Math.max(PLAYBACK_SPEEDS[0], Math.min(PLAYBACK_SPEEDS[PLAYBACK_SPEEDS.length - 1], rate));
+  state.playbackRate = clamped;
+  resetSync();
+  renderTransport();
+  announce();
+}
+
+// Next speed up or down the ladder from the current one
+function shiftSpeed(step) {
+  const idx = PLAYBACK_SPEEDS.findIndex((rate) => rate >= state.playbackRate);
+  const next = PLAYBACK_SPEEDS[Math.max(0, Math.min(PLAYBACK_SPEEDS.length - 1, (idx < 0 ? 3 : idx) + step))];
+  setPlaybackSpeed(next);
+}
+
+/** Forward playback at the current speed */
+export function playForward() {
+  if (!state.isInitialized) return;
+  stopReverse();
+  if (state.isPaused) callbacks.resume();
+  else state.videoElements.forEach((v) => v?.play().catch(() => {}));
+  announce();
+}
+
+/**
+ * Browsers can't play video backwards, so reverse holds every camera paused and seeks them
+ * together, issuing the next seek once all of them have landed on the previous one.
+ */
+export function playReverse() {
+  if (!state.isInitialized) return;
+  if (state.isPaused) callbacks.resume();
+  state.isReversing = true;
+  state.videoElements.forEach((v) => v?.pause());
+  renderTransport();
+  announce();
+  if (reverseHandle) return;
+  let lastSeekAt = performance.now();
+  const tick = (now) => {
+    if (!state.isReversing || !state.isInitialized) {
+      state.isReversing = false;
+      reverseHandle = null;
+      renderTransport();
+      return;
+    }
+    reverseHandle = requestAnimationFrame(tick);
+    if (isSeekPending()) return;
+    const current = callbacks.getTime();
+    if (current <= 0) {
+      pause();
+      return;
+    }
+    const target = Math.max(0, current - ((now - lastSeekAt) / 1000) * baseRate());
+    lastSeekAt = now;
+    callbacks.seek(target);
+  };
+  reverseHandle = requestAnimationFrame(tick);
+}
+
+export function stopReverse() {
+  if (reverseHandle) cancelAnimationFrame(reverseHandle);
+  reverseHandle = null;
+  if (!state.isReversing) return;
+  state.isReversing = false;
+  renderTransport();
+}
+
+export function pause() {
+  stopReverse();
+  if (!state.isPaused) callbacks.pause();
+}
+
+/** JKL shuttle: J reverses (faster on repeat), K pauses, L plays forward (faster on repeat) */
+export function shuttle(direction) {
+  if (!state.isInitialized) return;
+  if (direction === 0) {
+    pause();
+    return;
+  }
+  const reversing = direction < 0;
+  const running = !state.isPaused && state.isReversing === reversing;
+  if (running) {
+    shiftSpeed(1);
+    return;
+  }
+  // Changing direction or starting from pause begins at normal speed, as on an edit deck
+  if (state.playbackRate !== 1) setPlaybackSpeed(1);
+  if (reversing) playReverse();
+  else playForward();
+}
+
+function isSeekPending() {
+  return state.isSeeking || state.isSwitchingSegment || state.videoElements.some((v) => v?.seeking);
+}
+
+function waitForSeeks() {
+  const pending = state.videoElements.filter((v) => v?.seeking);
+  return Promise.all(
+    pending.map(
+      (video) =>
+        new Promise((resolve) => {
+          video.addEventListener("seeked", resolve, { once: true });
+          video.addEventListener("emptied", resolve, { once: true });
+        })
+    )
+  );
+}
+
+// Index of the last frame starting at or before t, -1 before the first one
+function frameIndexAt(times, t) {
+  let low = 0;
+  let high = times.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    if (times[mid] <= t) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Start of the neighbouring frame. state.frameTimes is the front camera's config.durations table
+ * laid out on the drive timeline; a gap (missing front clip) falls back to a nominal frame.
+ */
+function frameTarget(t, step) {
+  const times = state.frameTimes || [];
+  const next = frameIndexAt(times, t + FRAME_EPSILON_SEC) + step;
+  if (next >= 0 && next < times.length && Math.abs(times[next] - t) < 1) return times[next] + FRAME_EPSILON_SEC;
+  return t + step * FALLBACK_FRAME_SEC;
+}
+
+/** Jump by delta seconds on the drive timeline, keeping the current play state */
+export function seekBy(delta) {
+  if (!state.isInitialized) return Promise.resolve();
+  return seekTo(callbacks.getTime() + delta);
+}
+
+/** Jump to a drive time, keeping the current play state (the still frame is redrawn when paused) */
+export async function seekTo(time) {
+  if (!state.isInitialized) return;
+  const target = Math.max(0, Math.min(state.masterDuration || 0, time));
+  await callbacks.seek(target);
+  if (!state.isPaused) return;
+  await waitForSeeks();
+  callbacks.renderStill();
+}
+
+/** Pause and move every camera one frame forward (1) or back (-1) */
+export async function stepFrame(step) {
+  if (!state.isInitialized || isSeekPending()) return;
+  pause();
+  const target = Math.max(0, Math.min(state.masterDuration || 0, frameTarget(callbacks.getTime(), step)));
+  await callbacks.seek(target);
+  await waitForSeeks();
+  // The render loop is stopped while paused, so draw the new frame ourselves
+  callbacks.renderStill();
+}
+
+function announce() {
+  if (state.isPaused) return;
+  const speed = `${state.playbackRate}x`;
+  callbacks.setStatus(state.isReversing ? `Reverse ${speed}` : state.playbackRate === 1 ? "Playing" : `Playing ${speed}`);
+}
+
+function renderTransport() {
+  if (speedSelect) speedSelect.value = String(state.playbackRate);
+  reverseBtn?.classList.toggle("active", state.isReversing);
+}
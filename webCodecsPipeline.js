@@ -0,0 +1,456 @@
+// WebCodecs pipeline: decodes every camera of one clip set with VideoDecoder and presents the
+// frames with the same index together, so the stitched sphere is frame-locked instead of six
+// independently clocked <video> elements. Each camera is wrapped in a small <video>-like object
+// (currentTime, play/pause, seeking, ended, canplaythrough/seeked events) so the drive, sync and
+// transport code treat both paths alike.
+
+export const hasWebCodecs = typeof window.VideoDecoder === "function" && typeof window.EncodedVideoChunk === "function";
+
+// Decoded frames buffered ahead per camera; VideoFrames hold GPU/decoder memory, so keep it small
+const DECODE_AHEAD = 8;
+// Forward seeks this close keep decoding instead of restarting from the previous keyframe
+const FORWARD_SKIP_FRAMES = 72;
+
+// Index of the last frame starting at or before t (0 before the first)
+function frameIndexAt(times, t) {
+  let low = 0;
+  let high = times.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    if (times[mid] <= t) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * One camera's clip: its sample table, frame times and a decoder fed ahead. Sample data is read
+ * from the file a keyframe window (keyframe up to the next one) at a time: the window being
+ * decoded and the one after it are kept, nothing else of the clip is held in memory.
+ */
+class DecodedTrack {
+  constructor(src, onOutput, onError) {
+    this.src = src;
+    this.onOutput = onOutput;
+    this.onError = onError;
+    this.mp4 = null;
+    this.samples = [];
+    this.windowOf = null; // sample index -> index of the keyframe starting its window
+    this.windows = new Map(); // window start -> { end, chunks } (chunks null while reading)
+    this.times = [];
+    this.duration = 0;
+    this.config = null;
+    this.decoder = null;
+    this.generation = 0;
+    this.nextDecode = 0;
+    this.skipBefore = 0;
+    this.flushed = false;
+    this.decoded = [];
+    this.current = null; // VideoFrame on screen
+    this.currentIndex = -1;
+    this.shift = 0; // frames this camera is moved against the group clock (manual offset)
+  }
+
+  /** This camera's frame for group frame `index`, within the clip */
+  frameFor(index) {
+    return Math.max(0, Math.min(index + this.shift, this.samples.length - 1));
+  }
+
+  async load() {
+    // The object URL's Blob is the clip's File: only moov is read here
+    const mp4 = await window.DashcamMP4.fromBlob(await (await fetch(this.src)).blob());
+    const config = mp4.getConfig();
+    const support = await VideoDecoder.isConfigSupported({ codec: config.codec, codedWidth: config.width, codedHeight: config.height });
+    if (!support.supported) throw new Error(`VideoDecoder can't decode ${config.codec}`);
+    this.config = config;
+    this.mp4 = mp4;
+    this.samples = mp4.getSamples();
+    if (!this.samples.length || !this.samples[0].keyframe) throw new Error(`No decodable frames in ${this.src}`);
+    this.windowOf = new Int32Array(this.samples.length);
+    this.samples.forEach((sample, i) => {
+      this.windowOf[i] = sample.keyframe ? i : this.windowOf[i - 1];
+    });
+    // stts durations are in ms; a short table repeats its last entry
+    let time = 0;
+    const fallbackMs = config.durations[config.durations.length - 1] || 1000 / 36;
+    this.times = this.samples.map((_s, i) => {
+      const start = time;
+      time += (config.durations[i] ?? fallbackMs) / 1000;
+      return start;
+    });
+    this.duration = time;
+  }
+
+  /** Restart decoding so that group frame `index` is the next one delivered */
+  restart(index) {
+    this.closeDecoder();
+    this.clearDecoded();
+    const generation = ++this.generation;
+    this.decoder = new VideoDecoder({
+      output: (frame) => {
+        // The timestamp carries the sample index; drop output from an older restart and the
+        // frames between the keyframe and the seek target
+        if (generation !== this.generation || frame.timestamp < this.skipBefore) {
+          frame.close();
+        } else {
+          this.decoded.push(frame);
+        }
+        this.onOutput();
+      },
+      error: (err) => {
+        if (generation === this.generation) this.onError(err);
+      },
+    });
+    this.decoder.configure({
+      codec: this.config.codec,
+      codedWidth: this.config.width,
+      codedHeight: this.config.height,
+      optimizeForLatency: true,
+    });
+    const target = this.frameFor(index);
+    const key = this.windowOf[target];
+    this.nextDecode = key;
+    this.skipBefore = target;
+    this.flushed = false;
+    this.pump();
+  }
+
+  /** Keep a few frames decoded ahead of the one on screen */
+  pump() {
+    const decoder = this.decoder;
+    if (!decoder || decoder.state !== "configured") return;
+    while (this.nextDecode < this.samples.length && this.decoded.length + decoder.decodeQueueSize < DECODE_AHEAD) {
+      const data = this.sampleData(this.nextDecode);
+      // Its window is still being read; readWindow pumps again when it arrives
+      if (!data) break;
+      decoder.decode(
+        new EncodedVideoChunk({ type: this.samples[this.nextDecode].keyframe ? "key" : "delta", timestamp: this.nextDecode, data })
+      );
+      this.nextDecode += 1;
+    }
+    // The decoder may hold the last frames back until it is flushed
+    if (this.nextDecode >= this.samples.length && !this.flushed) {
+      this.flushed = true;
+      decoder.flush().catch(() => {});
+    }
+  }
+
+  /** Annex B data of sample `index` if its window is in memory; otherwise start reading it */
+  sampleData(index) {
+    const start = this.windowOf[index];
+    const span = this.windows.get(start) || this.readWindow(start);
+    // Read the following window ahead so the decoder doesn't wait at the next keyframe
+    if (span.end < this.samples.length && !this.windows.has(span.end)) this.readWindow(span.end);
+    // Windows behind the one being decoded are no longer needed (EncodedVideoChunk copies its data)
+    this.windows.forEach((_other, otherStart) => {
+      if (otherStart !== start && otherStart !== span.end) this.windows.delete(otherStart);
+    });
+    return span.chunks?.[index - start] || null;
+  }
+
+  readWindow(start) {
+    let end = start + 1;
+    while (end < this.samples.length && !this.samples[end].keyframe) end++;
+    const span = { end, chunks: null };
+    this.windows.set(start, span);
+    const generation = this.generation;
+    this.mp4.readSamples(start, end).then(
+      (chunks) => {
+        // Dropped meanwhile (seek elsewhere, dispose): the next pump reads it again if needed
+        if (this.windows.get(start) !== span) return;
+        span.chunks = chunks;
+        this.onOutput();
+      },
+      (err) => {
+        if (this.windows.get(start) === span) this.windows.delete(start);
+        if (generation === this.generation) this.onError(err);
+      }
+    );
+    return span;
+  }
+
+  /** Drop frames that precede index so the decoder can move on */
+  skipTo(index) {
+    const target = this.frameFor(index);
+    this.skipBefore = Math.max(this.skipBefore, target);
+    while (this.decoded.length && this.decoded[0].timestamp < target) this.decoded.shift().close();
+  }
+
+  /** Is frame `index` (or this camera's last frame, if it has fewer) decoded or on screen? */
+  has(index) {
+    const target = this.frameFor(index);
+    if (this.currentIndex === target) return true;
+    return this.decoded.some((frame) => frame.timestamp === target);
+  }
+
+  /** Put frame `index` on screen, closing the one it replaces */
+  present(index) {
+    const target = this.frameFor(index);
+    if (this.currentIndex === target) return;
+    while (this.decoded.length && this.decoded[0].timestamp < target) this.decoded.shift().close();
+    if (this.decoded[0]?.timestamp !== target) return;
+    this.current?.close();
+    this.current = this.decoded.shift();
+    this.currentIndex = target;
+    this.pump();
+  }
+
+  clearDecoded() {
+    this.decoded.forEach((frame) => frame.close());
+    this.decoded = [];
+  }
+
+  closeDecoder() {
+    if (this.decoder && this.decoder.state !== "closed") this.decoder.close();
+    this.decoder = null;
+  }
+
+  dispose() {
+    this.generation += 1;
+    this.closeDecoder();
+    this.clearDecoded();
+    this.current?.close();
+    this.current = null;
+    this.currentIndex = -1;
+    this.samples = [];
+    this.windows.clear();
+    this.mp4 = null;
+  }
+}
+
+/**
+ * The cameras of one clip set on a single clock. The clock only advances to a frame index once
+ * every camera has that frame decoded, so a slow decoder holds the group instead of drifting.
+ */
+class FrameLockedGroup {
+  constructor(sources) {
+    this.tracks = sources.map((src) => (src ? new DecodedTrack(src, () => this.onOutput(), (err) => this.fail(err)) : null));
+    this.videos = this.tracks.map((track) => (track ? new FrameLockedVideo(this, track) : null));
+    this.leader = this.tracks.find(Boolean) || null;
+    this.time = 0;
+    this.index = -1;
+    this.rate = 1;
+    this.paused = true;
+    this.seeking = false;
+    this.ready = false;
+    this.failed = null;
+    this.pendingIndex = 0;
+    this.lastTick = null;
+    this.released = 0;
+    this.shiftChanged = false;
+    this.load();
+  }
+
+  get duration() {
+    return this.leader?.duration || 0;
+  }
+
+  get ended() {
+    return this.ready && !this.seeking && this.time >= this.duration;
+  }
+
+  async load() {
+    try {
+      await Promise.all(this.tracks.map((track) => track?.load()));
+      if (this.released) {
+        this.eachTrack((track) => track.dispose());
+        return;
+      }
+      this.seek(0);
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  fail(err) {
+    if (this.failed) return;
+    this.failed = err;
+    console.warn("WebCodecs pipeline:", err);
+    this.dispatch("error");
+  }
+
+  dispatch(type) {
+    this.videos.forEach((video) => video?.dispatchEvent(new Event(type)));
+  }
+
+  eachTrack(fn) {
+    this.tracks.forEach((track) => track && fn(track));
+  }
+
+  allHave(index) {
+    return this.tracks.every((track) => !track || track.has(index));
+  }
+
+  presentAll(index) {
+    this.eachTrack((track) => track.present(index));
+    this.index = index;
+  }
+
+  seek(t) {
+    if (!this.leader?.times.length || this.failed) return;
+    const time = Math.max(0, Math.min(this.duration, t));
+    const index = frameIndexAt(this.leader.times, time);
+    // Every camera's currentTime is set to the same value; only the first one does the work
+    if (this.seeking && index === this.pendingIndex && !this.shiftChanged) {
+      this.time = time;
+      return;
+    }
+    this.time = time;
+    if (this.ready && index === this.index && !this.shiftChanged) return;
+    // A camera moved by its offset may need frames behind the ones decoded, so it restarts
+    const forward =
+      !this.shiftChanged && this.index >= 0 && index > this.index && index - this.index <= FORWARD_SKIP_FRAMES;
+    this.shiftChanged = false;
+    this.seeking = true;
+    this.pendingIndex = index;
+    this.eachTrack((track) => (forward ? track.skipTo(index) : track.restart(index)));
+    this.onOutput();
+  }
+
+  onOutput() {
+    this.eachTrack((track) => track.pump());
+    if (!this.seeking || !this.allHave(this.pendingIndex)) return;
+    this.presentAll(this.pendingIndex);
+    this.seeking = false;
+    this.lastTick = null;
+    if (!this.ready) {
+      this.ready = true;
+      this.dispatch("canplaythrough");
+    }
+    this.dispatch("seeked");
+  }
+
+  /** Advance the clock; called from the render loop before the textures are updated */
+  tick(now) {
+    if (!this.ready || this.seeking) return;
+    this.eachTrack((track) => track.pump());
+    if (this.paused || this.time >= this.duration) {
+      this.lastTick = null;
+      return;
+    }
+    const dt = this.lastTick === null ? 0 : (now - this.lastTick) / 1000;
+    this.lastTick = now;
+    const next = Math.min(this.duration, this.time + dt * this.rate);
+    const index = frameIndexAt(this.leader.times, next);
+    if (index === this.index) {
+      this.time = next;
+      return;
+    }
+    // Frames between the shown one and the target are decoded and dropped on the way
+    this.eachTrack((track) => track.skipTo(index));
+    if (this.allHave(index)) {
+      this.presentAll(index);
+      this.time = next;
+    }
+  }
+
+  play() {
+    this.paused = false;
+    this.lastTick = null;
+  }
+
+  release() {
+    this.released += 1;
+    if (this.released < this.videos.filter(Boolean).length) return;
+    this.eachTrack((track) => track.dispose());
+  }
+}
+
+/** The <video> subset the stitcher, sync controller and transport rely on */
+class FrameLockedVideo extends EventTarget {
+  constructor(group, track) {
+    super();
+    this.group = group;
+    this.track = track;
+  }
+
+  get frameLocked() {
+    return true;
+  }
+
+  get src() {
+    return this.track.src;
+  }
+
+  /** VideoFrame currently on screen (null until the first frame is decoded) */
+  get frame() {
+    return this.track.current;
+  }
+
+  get currentTime() {
+    return this.group.time;
+  }
+
+  set currentTime(t) {
+    this.group.seek(t);
+  }
+
+  get duration() {
+    return this.track.duration || NaN;
+  }
+
+  get paused() {
+    return this.group.paused;
+  }
+
+  get ended() {
+    return this.group.ended;
+  }
+
+  get seeking() {
+    return this.group.seeking;
+  }
+
+  /** Set once loading or decoding failed, like HTMLMediaElement.error */
+  get error() {
+    return this.group.failed;
+  }
+
+  get readyState() {
+    return this.group.ready ? HTMLMediaElement.HAVE_ENOUGH_DATA : HTMLMediaElement.HAVE_NOTHING;
+  }
+
+  get playbackRate() {
+    return this.group.rate;
+  }
+
+  set playbackRate(rate) {
+    this.group.rate = rate;
+  }
+
+  /** Manual offset against the group clock (s); takes effect on the next seek, in whole frames */
+  set timeOffset(sec) {
+    const frameSec = this.track.duration / (this.track.samples.length || 1) || 1 / 36;
+    const shift = Math.round(sec / frameSec);
+    if (shift === this.track.shift) return;
+    this.track.shift = shift;
+    this.group.shiftChanged = true;
+  }
+
+  play() {
+    this.group.play();
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.group.paused = true;
+  }
+
+  tick(now) {
+    this.group.tick(now);
+  }
+
+  dispose() {
+    this.group.release();
+  }
+}
+
+/** Frame-locked stand-ins for one clip set's <video> elements (null where a camera is off) */
+export function createFrameLockedElements(sources) {
+  return new FrameLockedGroup(sources).videos;
+}
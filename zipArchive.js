@@ -0,0 +1,58 @@
+// TeslaCam events inside ZIP archives (vendored JSZip)
+// JSZip reads the whole archive into memory when it is opened. Entries are inflated when their
+// record's getFile() runs, and opening an event does that for every clip of it, so a ZIP event
+// costs the archive plus its inflated clips until another event replaces it.
+
+const ZIP_ENTRY = /\.(mp4|json|png)$/i;
+
+const MIME_TYPES = {
+  mp4: "video/mp4",
+  json: "application/json",
+  png: "image/png",
+};
+
+export function isZipFile(file) {
+  return /\.zip$/i.test(file.name) || file.type === "application/zip" || file.type === "application/x-zip-compressed";
+}
+
+function baseName(path) {
+  return path.slice(path.lastIndexOf("/") + 1);
+}
+
+// macOS archives carry __MACOSX/ resource forks and ._ shadow files next to the real entries
+function isJunkEntry(path) {
+  return path.startsWith("__MACOSX/") || baseName(path).startsWith(".");
+}
+
+function recordFromEntry(entry, rootPath) {
+  const name = baseName(entry.name);
+  const ext = name.slice(name.lastIndexOf(".") + 1).toLowerCase();
+  const lastModified = entry.date ? entry.date.getTime() : 0;
+  return {
+    name,
+    path: `${rootPath}/${entry.name}`,
+    size: null,
+    lastModified,
+    getFile: async () => {
+      const blob = await entry.async("blob");
+      return new File([blob], name, { type: MIME_TYPES[ext] || "", lastModified });
+    },
+  };
+}
+
+/**
+ * Library file records for the clips, event.json and thumb.png files in a ZIP.
+ * Paths are rooted at the archive name so events from different archives never collide.
+ * @param {File} file
+ * @param {string} [rootPath]
+ */
+export async function recordsFromZip(file, rootPath = file.name) {
+  if (!window.JSZip) throw new Error("ZIP support is not available");
+  const zip = await window.JSZip.loadAsync(file);
+  const records = [];
+  zip.forEach((path, entry) => {
+    if (entry.dir || isJunkEntry(path) || !ZIP_ENTRY.test(path)) return;
+    records.push(recordFromEntry(entry, rootPath));
+  });
+  return records;
+}